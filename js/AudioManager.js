@@ -2,6 +2,11 @@ import * as THREE from 'three';
 import { gameState } from './State.js';
 import { CONFIG } from './Config.js';
 
+// Engine sample playback rate at idle and at the redline
+const IDLE_PITCH = 0.7;
+const REDLINE_PITCH = 1.5;
+const SHIFT_DIP_MS = 120; // Accel volume drops for this long on a gear change
+
 export class AudioManager {
     constructor(camera, playerMesh) {
         this.camera = camera;
@@ -14,6 +19,8 @@ export class AudioManager {
         };
         this.currentVolume = CONFIG.DEFAULT_VOLUME;
         this.isMuted = false;
+        this.lastGear = 1;
+        this.shiftDipUntil = 0;
         
         // Expose to global scope for HTML buttons
         window.audioManager = this;
@@ -83,19 +90,26 @@ export class AudioManager {
         this.sounds.finish?.play();
     }
 
-    update(speed) {
+    update(rpm, gear, speed) {
         if (!gameState.audioInitialized || !this.sounds.idle || !this.sounds.accel) return;
 
         const { keys } = gameState;
-        const pitch = 1.0;
+        const revs = Math.max(0, Math.min(1, (rpm - CONFIG.IDLE_RPM) / (CONFIG.REDLINE_RPM - CONFIG.IDLE_RPM)));
+        const pitch = IDLE_PITCH + (REDLINE_PITCH - IDLE_PITCH) * revs;
         this.sounds.idle.setPlaybackRate(pitch);
         this.sounds.accel.setPlaybackRate(pitch);
 
+        if (gear !== this.lastGear) {
+            this.lastGear = gear;
+            this.shiftDipUntil = performance.now() + SHIFT_DIP_MS;
+        }
+        const shifting = performance.now() < this.shiftDipUntil;
+
         // Engine mix
-        if (keys['w'] && speed >= 0.1) {
+        if (keys['w'] && speed >= 6) {
             this.sounds.idle.setVolume(0.1);
-            this.sounds.accel.setVolume(0.7);
-        } else if (Math.abs(speed) < 0.1) {
+            this.sounds.accel.setVolume(shifting ? 0.35 : 0.7);
+        } else if (Math.abs(speed) < 6) {
             this.sounds.idle.setVolume(keys['w'] ? 0.3 : 0.5);
             this.sounds.accel.setVolume(keys['w'] ? 0.2 : 0.0);
         } else {
@@ -0,0 +1,127 @@
+// js/CarCollision.js
+import { CONFIG } from './Config.js';
+
+// Scratch results, reused every call
+const overlap = { normalX: 0, normalZ: 0, depth: 0 };
+
+function projectedRadius(car, axisX, axisZ) {
+    const sin = Math.sin(car.rotationAngle);
+    const cos = Math.cos(car.rotationAngle);
+    // Forward is (sin, cos), right is (cos, -sin)
+    return CONFIG.CAR_HALF_LENGTH * Math.abs(sin * axisX + cos * axisZ) +
+        CONFIG.CAR_HALF_WIDTH * Math.abs(cos * axisX - sin * axisZ);
+}
+
+/**
+ * Separating-axis test between two car footprints (oriented boxes on the ground plane).
+ * Returns the minimum-penetration normal pointing from `a` to `b`, or null if apart.
+ */
+export function getCarOverlap(a, b) {
+    const dx = b.position.x - a.position.x;
+    const dz = b.position.z - a.position.z;
+
+    // Cheap reject: further apart than two bounding circles
+    const reach = 2 * Math.hypot(CONFIG.CAR_HALF_LENGTH, CONFIG.CAR_HALF_WIDTH);
+    if (dx * dx + dz * dz > reach * reach) return null;
+
+    overlap.depth = Infinity;
+    for (const car of [a, b]) {
+        const sin = Math.sin(car.rotationAngle);
+        const cos = Math.cos(car.rotationAngle);
+        for (const [axisX, axisZ] of [[sin, cos], [cos, -sin]]) {
+            const distance = dx * axisX + dz * axisZ;
+            const depth = projectedRadius(a, axisX, axisZ) + projectedRadius(b, axisX, axisZ) - Math.abs(distance);
+            if (depth <= 0) return null;
+            if (depth < overlap.depth) {
+                const sign = distance < 0 ? -1 : 1;
+                overlap.normalX = axisX * sign;
+                overlap.normalZ = axisZ * sign;
+                overlap.depth = depth;
+            }
+        }
+    }
+    return overlap;
+}
+
+// The physics model stores velocity as a speed along velocityAngle
+function setVelocity(car, vx, vz) {
+    const magnitude = Math.hypot(vx, vz);
+    if (magnitude < 1e-6) {
+        car.speed = 0;
+        return;
+    }
+    // Keep reversing cars reversing instead of flipping their heading around
+    const forward = Math.sin(car.rotationAngle) * vx + Math.cos(car.rotationAngle) * vz;
+    const direction = forward < 0 ? -1 : 1;
+    car.speed = magnitude * direction;
+    car.velocityAngle = Math.atan2(vx * direction, vz * direction);
+}
+
+/**
+ * Pushes two overlapping cars apart and exchanges momentum along the contact normal
+ * (equal masses). With `moveB` false only `a` is changed, e.g. the local car against
+ * a remote car whose state belongs to the server. Returns true on contact.
+ */
+export function resolveCarCollision(a, b, moveB = true) {
+    const contact = getCarOverlap(a, b);
+    if (!contact) return false;
+
+    const { normalX, normalZ, depth } = contact;
+    const push = moveB ? depth / 2 : depth;
+    a.position.x -= normalX * push;
+    a.position.z -= normalZ * push;
+    if (moveB) {
+        b.position.x += normalX * push;
+        b.position.z += normalZ * push;
+    }
+
+    const avx = Math.sin(a.velocityAngle) * a.speed;
+    const avz = Math.cos(a.velocityAngle) * a.speed;
+    const bvx = Math.sin(b.velocityAngle) * b.speed;
+    const bvz = Math.cos(b.velocityAngle) * b.speed;
+
+    // Only cars closing on each other exchange momentum; resting contact just separates
+    const closingSpeed = (bvx - avx) * normalX + (bvz - avz) * normalZ;
+    if (closingSpeed >= 0) return true;
+
+    const impulse = -(1 + CONFIG.CAR_COLLISION_RESTITUTION) * closingSpeed / 2;
+    setVelocity(a, avx - impulse * normalX, avz - impulse * normalZ);
+    a.speed *= CONFIG.CAR_COLLISION_SPEED_PENALTY;
+    if (moveB) {
+        setVelocity(b, bvx + impulse * normalX, bvz + impulse * normalZ);
+        b.speed *= CONFIG.CAR_COLLISION_SPEED_PENALTY;
+    }
+    return true;
+}
+
+/**
+ * Bounces a car off a straight wall. `normalX/normalZ` is the wall's unit normal
+ * pointing back into the track and `wallDistance` the distance from the car's centre
+ * to the wall along it. The car is pushed clear of the wall; the speed into the wall
+ * is reflected with the barrier's restitution and the speed along it scrubbed by its
+ * friction. Returns true on contact.
+ */
+export function resolveWallCollision(car, normalX, normalZ, wallDistance, barrier) {
+    const depth = projectedRadius(car, normalX, normalZ) - wallDistance;
+    if (depth <= 0) return false;
+
+    car.position.x += normalX * depth;
+    car.position.z += normalZ * depth;
+
+    const vx = Math.sin(car.velocityAngle) * car.speed;
+    const vz = Math.cos(car.velocityAngle) * car.speed;
+    const intoWall = vx * normalX + vz * normalZ;
+    if (intoWall >= 0) return true; // Already moving away, e.g. resting against it
+
+    const alongX = vx - intoWall * normalX;
+    const alongZ = vz - intoWall * normalZ;
+    setVelocity(car,
+        alongX * barrier.friction - intoWall * barrier.restitution * normalX,
+        alongZ * barrier.friction - intoWall * barrier.restitution * normalZ);
+    return true;
+}
+
+// Room settings can turn contact off entirely; ghosted cars never touch
+export function carCollisionsEnabled(settings) {
+    return !settings || (settings.collisions && !settings.ghosting);
+}
@@ -1,28 +1,76 @@
 import * as THREE from "three";
-import { getTrackProperties } from "./Utils.js";
+import { getTrackProperties, getTrackHalfWidth, getPitLaneOffset } from "./Utils.js";
 import { CONFIG } from "./Config.js";
+import { resolveWallCollision } from "./CarCollision.js";
 
-export const carState = {
-    position: new THREE.Vector3(0, 0, 0),
-    speed: 0,
-    rotationAngle: 0,
-    velocityAngle: 0,
-    currentT: 0,
-    isWrongWay: false,
-
-    maxSpeed: 2.0,
-    acceleration: 0.025,
-    braking: 0.95,
-    reverseSpeed: 0.02,
-    friction: 0.985,
-    handling: 0.022,
-    grip: 0.95,
-    
-    // NEW: Kerb interaction state
-    isOnKerb: false,
-    kerbEffectTimer: 0,
-    originalHandling: 0.04,
-};
+// Front-left, front-right, rear-left, rear-right
+export const TYRE_POSITIONS = ['FL', 'FR', 'RL', 'RR'];
+
+// Builds a fresh car state with the default tuning. The server keeps one per player.
+// Speeds are in world units per second; rates are per second (see CONFIG.PHYSICS_RATE_HZ).
+export function createCarState() {
+    const state = {
+        position: new THREE.Vector3(0, 0, 0),
+        speed: 0,
+        rotationAngle: 0,
+        velocityAngle: 0,
+        currentT: 0,
+        isWrongWay: false,
+        launchLocked: false, // Held on the grid until lights out
+        surface: 'tarmac',   // Key into CONFIG.SURFACES for what the car is driving on
+        pitch: 0,            // Nose-up angle of the road under the car (radians)
+        roll: 0,             // Left-side-up angle of the road under the car (radians)
+
+        maxSpeed: 120,
+        acceleration: 90,       // Per second, at full drive
+        braking: 3.1,           // Share of the speed lost per second on the brakes (exponential)
+        reverseSpeed: 72,       // Acceleration backwards on 's', per second
+        friction: 0.9,          // Like braking, when coasting
+        handling: 1.32,         // Radians of yaw per second at full lock
+        grip: 3.0,              // How quickly the car's path swings round to its heading, per second
+        dragCoefficient: 0.002, // Aero drag per second, proportional to speed squared
+        slipstream: 0,          // 0..1 tow from a car ahead
+
+        // DRS: eligibility is granted at a detection point and used up by the next zone
+        drsEligible: false,
+        drsOpen: false,
+        drsZone: -1,            // Index of the zone the car is in, -1 outside
+
+        // Pit lane: the box is the car's grid slot; a stop in it holds the car for the service
+        inPitLane: false,
+        pitBox: 0,
+        pitStopTime: 0,         // Seconds of service left while stopped in the box
+        pitStopDone: false,     // Serviced on this visit to the lane
+        pitStops: 0,
+
+        // Tyres: per-tyre temperature (°C) and wear (0 new, 1 gone), see fitTyres
+        tyreCompound: CONFIG.DEFAULT_TYRE_COMPOUND,
+        tyres: [],
+        tyreGrip: 1,            // Grip of the whole set, recomputed every step
+
+        fuel: CONFIG.FUEL_CAPACITY, // kg left, see getRaceFuel
+        fuelMix: CONFIG.DEFAULT_FUEL_MIX,
+
+        // Gearbox: manual shifts on the paddle keys ('x' up, 'z' down) when autoShift is off
+        gear: 1,
+        rpm: CONFIG.IDLE_RPM,
+        autoShift: true,
+        shiftTime: 0,           // Seconds left of the drive cut during a shift
+        upPaddle: false,        // Paddles held on the last step, so a held key shifts once
+        downPaddle: false,
+
+        randomSeed: CONFIG.PHYSICS_SEED, // State of the car's own random generator, see nextRandom
+
+        // NEW: Kerb interaction state
+        isOnKerb: false,
+        kerbEffectTimer: 0,
+        originalHandling: 2.4,
+    };
+    fitTyres(state, state.tyreCompound);
+    return state;
+}
+
+export const carState = createCarState();
 
 // Gyro-specific physics tuning
 const gyroPhysics = {
@@ -32,16 +80,17 @@ const gyroPhysics = {
     smoothFactor: 0.1     // Smooth gyro inputs (future use)
 };
 
+const WRONG_WAY_DRAG = 13; // Share of the speed lost per second against the track (exponential)
+
 // PRE-ALLOCATE ALL VECTORS (CRITICAL FIX)
 const velocityVector = new THREE.Vector3();
 const tangentVector = new THREE.Vector3();
 const newPosition = new THREE.Vector3();
 const carForward = new THREE.Vector3();
-const clampedPosition = new THREE.Vector3();
 
 // NEW: Kerb detection function
 function checkKerbCollision(position, roadHalfWidth) {
-    const kerbWidth = 1.5; // Should match TrackBuilder.js KERB_WIDTH
+    const kerbWidth = CONFIG.KERB_WIDTH;
     const kerbStart = roadHalfWidth;
     const kerbEnd = roadHalfWidth + kerbWidth;
     
@@ -53,13 +102,200 @@ function checkKerbCollision(position, roadHalfWidth) {
 
 // NEW: Calculate turning intensity
 function getTurningIntensity(turnDirection, speed) {
-    if (speed < 0.1) return 0;
+    if (speed < 6) return 0;
     
     const turningForce = Math.abs(turnDirection) * speed;
-    return Math.min(1, turningForce / 2.0); // Normalize to 0-1 range
+    return Math.min(1, turningForce / 120); // Normalize to 0-1 range
+}
+
+// Random number in [0, 1) from the car's own seeded generator (mulberry32). Its state
+// travels with the car, so replaying the same inputs from a snapshot repeats every roll.
+function nextRandom(state) {
+    state.randomSeed = (state.randomSeed + 0x6D2B79F5) >>> 0;
+    let t = state.randomSeed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Multiplier that takes off `rate` of a quantity per second, exactly, over `dt`
+function decay(rate, dt) {
+    return Math.exp(-rate * dt);
+}
+
+// Surface beside the road at t on one side: a run-off zone's, or grass
+function getRunoffSurface(runoffZones, t, side) {
+    const zone = runoffZones.find(zone => t >= zone.startT && t <= zone.endT && zone.sides.includes(side));
+    return zone ? zone.surface : 'grass';
 }
 
-export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, steerValue = null) {
+// Whether a car `beyond` metres past the road edge on `side` (1 left, -1 right) is in the lane
+function isInPitLane(pitLane, t, side, beyond) {
+    if (!pitLane || side !== (pitLane.side === 'left' ? 1 : -1)) return false;
+    const offset = getPitLaneOffset(pitLane, t);
+    if (offset === null) return false;
+    return beyond > Math.max(0, offset - CONFIG.PIT_LANE_WIDTH / 2) && beyond <= offset + CONFIG.PIT_LANE_WIDTH / 2;
+}
+
+// Boxes fill the outer half of the lane (see generatePitLane in TrackBuilder.js)
+function isInPitBox(pitLane, boxIndex, t, beyond, trackLength) {
+    const boxT = pitLane.boxes[boxIndex];
+    if (boxT === undefined || beyond < getPitLaneOffset(pitLane, t)) return false;
+    let along = t - boxT;
+    if (along > 0.5) along -= 1;
+    if (along < -0.5) along += 1;
+    return Math.abs(along) * trackLength <= CONFIG.PIT_BOX_LENGTH / 2;
+}
+
+// The crew's work, done when the service time runs out
+function servicePitStop(state) {
+    state.pitStops++;
+    fitTyres(state, state.tyreCompound);
+    // Handling knocked off by the kerbs is put right
+    state.handling = state.originalHandling;
+    state.kerbEffectTimer = 0;
+    state.isOnKerb = false;
+}
+
+// Weight moved onto the outside tyres at full lock, and onto the fronts under braking
+// or the rears under throttle
+const TYRE_CORNERING_LOAD = 0.5;
+const TYRE_BRAKING_LOAD = 0.3;
+const TYRE_TRACTION_LOAD = 0.2;
+
+/**
+ * Puts a fresh set of `compound` tyres on the car, unworn and at blanket temperature.
+ * Unknown compounds get the default one.
+ */
+export function fitTyres(state, compound) {
+    state.tyreCompound = Object.hasOwn(CONFIG.TYRE_COMPOUNDS, compound) ? compound : CONFIG.DEFAULT_TYRE_COMPOUND;
+    state.tyres = TYRE_POSITIONS.map(() => ({ temperature: CONFIG.TYRE_FITTED_TEMPERATURE, wear: 0 }));
+    state.tyreGrip = getTyreGrip(state);
+}
+
+// The compound's grip, scaled by how far each tyre is from its best temperature and how worn it is
+function getTyreGrip(state) {
+    const compound = CONFIG.TYRE_COMPOUNDS[state.tyreCompound];
+    const condition = state.tyres.reduce((sum, tyre) => {
+        const offset = (tyre.temperature - compound.optimalTemperature) / CONFIG.TYRE_TEMPERATURE_WINDOW;
+        const temperatureGrip = Math.max(CONFIG.TYRE_MIN_TEMPERATURE_GRIP, 1 - offset * offset);
+        return sum + temperatureGrip * (1 - CONFIG.TYRE_WEAR_GRIP_LOSS * tyre.wear);
+    }, 0);
+    return compound.grip * condition / state.tyres.length;
+}
+
+// Heats, cools and wears each tyre over `dt`. `slide` is the slip angle times the
+// speed; `kerbSide` is 'L' or 'R' for the side of the car on a kerb, or null.
+function updateTyres(state, keys, turnDirection, slide, kerbSide, dt) {
+    const compound = CONFIG.TYRE_COMPOUNDS[state.tyreCompound];
+    const speed = Math.abs(state.speed);
+    const steer = Math.min(1, Math.abs(turnDirection));
+    const outside = turnDirection > 0 ? 'R' : 'L'; // Turning left loads the right-hand tyres
+
+    state.tyres.forEach((tyre, index) => {
+        const [axle, side] = TYRE_POSITIONS[index];
+        let load = 1 + (side === outside ? 1 : -1) * TYRE_CORNERING_LOAD * steer;
+        if (keys[' ']) load *= 1 + (axle === 'F' ? 1 : -1) * TYRE_BRAKING_LOAD;
+        else if (keys['w']) load *= 1 + (axle === 'R' ? 1 : -1) * TYRE_TRACTION_LOAD;
+
+        tyre.temperature += (CONFIG.TYRE_ROLLING_HEAT * speed +
+            (CONFIG.TYRE_CORNERING_HEAT * steer * speed + CONFIG.TYRE_SLIDE_HEAT * slide) * load) * dt;
+        tyre.temperature = CONFIG.TYRE_AMBIENT_TEMPERATURE +
+            (tyre.temperature - CONFIG.TYRE_AMBIENT_TEMPERATURE) * decay(CONFIG.TYRE_COOLING, dt);
+
+        const kerbWear = side === kerbSide ? CONFIG.TYRE_KERB_WEAR * speed : 0;
+        tyre.wear = Math.min(1, tyre.wear + compound.wearRate *
+            (CONFIG.TYRE_WEAR_PER_DISTANCE * speed + CONFIG.TYRE_SLIDE_WEAR * slide * load + kerbWear) * dt);
+    });
+    state.tyreGrip = getTyreGrip(state);
+}
+
+// Fuel for a race of `laps` on a track `trackLength` long at the standard mix, with a
+// small margin. Richer running than planned can still run the tank dry.
+export function getRaceFuel(laps, trackLength) {
+    const planned = laps * trackLength * CONFIG.FUEL_BURN_PER_METRE * CONFIG.FUEL_PLANNED_THROTTLE;
+    return Math.min(CONFIG.FUEL_CAPACITY, planned * (1 + CONFIG.FUEL_MARGIN));
+}
+
+// Engine revs for a road speed in a gear
+function getWheelRpm(speed, gear) {
+    return Math.abs(speed) / CONFIG.GEAR_TOP_SPEEDS[gear - 1] * CONFIG.REDLINE_RPM;
+}
+
+// Share of peak torque at `rpm`, interpolated along CONFIG.TORQUE_CURVE
+function getTorque(rpm) {
+    const curve = CONFIG.TORQUE_CURVE;
+    if (rpm <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [toRpm, toTorque] = curve[i];
+        if (rpm <= toRpm) {
+            const [fromRpm, fromTorque] = curve[i - 1];
+            return fromTorque + (toTorque - fromTorque) * (rpm - fromRpm) / (toRpm - fromRpm);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Changes gear for one step: on the revs with autoShift, otherwise on a fresh press
+ * of a paddle key. A shift cuts the drive for CONFIG.GEAR_SHIFT_TIME, and a downshift
+ * that would over-rev the engine is refused.
+ */
+function updateGearbox(keys, state, dt) {
+    state.shiftTime = Math.max(0, state.shiftTime - dt);
+
+    let shift = 0;
+    const rpm = getWheelRpm(state.speed, state.gear);
+    if (state.autoShift) {
+        if (rpm >= CONFIG.AUTO_UPSHIFT_RPM) shift = 1;
+        else if (rpm < CONFIG.AUTO_DOWNSHIFT_RPM) shift = -1;
+    } else if (keys['x'] && !state.upPaddle) {
+        shift = 1;
+    } else if (keys['z'] && !state.downPaddle) {
+        shift = -1;
+    }
+    state.upPaddle = !!keys['x'];
+    state.downPaddle = !!keys['z'];
+
+    const gear = state.gear + shift;
+    if (shift === 0 || state.shiftTime > 0 || gear < 1 || gear > CONFIG.GEAR_TOP_SPEEDS.length) return;
+    if (getWheelRpm(state.speed, gear) >= CONFIG.REDLINE_RPM) return;
+    state.gear = gear;
+    state.shiftTime = CONFIG.GEAR_SHIFT_TIME;
+}
+
+// Share of the car's acceleration the engine delivers through the current gear
+function getDriveFactor(state) {
+    if (state.shiftTime > 0) return 0;
+    const rpm = Math.max(getWheelRpm(state.speed, state.gear), CONFIG.LAUNCH_RPM);
+    if (rpm >= CONFIG.REDLINE_RPM) return 0; // Rev limiter
+    return getTorque(rpm) * CONFIG.GEAR_REFERENCE_SPEED / CONFIG.GEAR_TOP_SPEEDS[state.gear - 1];
+}
+
+/**
+ * Advances the car by `dt` seconds. The result only depends on the arguments and the
+ * car's state (randomness comes from its seeded generator, never the clock), so the
+ * client, the server and headless runs agree as long as they step with the same dt.
+ * features: the track's resolved features (getTrackFeatures); run-off zones and pit lane are used
+ */
+export function updatePhysics(keys, state, dt, curve, divisions, roadHalfWidth, steerValue = null, features = {}) {
+    const { runoffZones = [], pitLane = null } = features;
+
+    // Before lights out, and while being serviced, the car ignores all driver input
+    if (state.pitStopTime > 0) {
+        state.pitStopTime -= dt;
+        if (state.pitStopTime <= 0) {
+            state.pitStopTime = 0;
+            servicePitStop(state);
+        }
+        keys = {};
+        steerValue = null;
+    }
+    if (state.launchLocked) {
+        keys = {};
+        steerValue = null;
+    }
+
     let turnDirection = 0;
     let isGyroSteering = false;
 
@@ -75,7 +311,7 @@ export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, stee
 
     // NEW: Update kerb effect timer
     if (state.kerbEffectTimer > 0) {
-        state.kerbEffectTimer -= 1/60; // Assuming 60 FPS
+        state.kerbEffectTimer -= dt;
         if (state.kerbEffectTimer <= 0) {
             // Restore original handling when kerb effect ends
             state.handling = state.originalHandling;
@@ -86,35 +322,67 @@ export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, stee
     // Adjust handling based on input method
     const handlingMultiplier = isGyroSteering ? gyroPhysics.handling : 1.0;
 
+    // Fuel weighs the car down, and an empty tank gives no drive
+    const massFactor = CONFIG.CAR_MASS / (CONFIG.CAR_MASS + state.fuel);
+    const fuelMix = CONFIG.FUEL_MIXES[state.fuelMix];
+    const throttle = keys['w'] && state.fuel > 0;
+
     if (state.speed !== 0) {
-        const speedFactor = Math.min(1, Math.abs(state.speed) / 0.5);
-        state.rotationAngle += turnDirection * state.handling * handlingMultiplier * speedFactor;
+        const speedFactor = Math.min(1, Math.abs(state.speed) / 30);
+        state.rotationAngle += turnDirection * state.handling * handlingMultiplier * speedFactor * massFactor * dt;
     }
 
     // Throttle control
-    if (keys['w']) { // Throttle
-        state.speed += state.acceleration;
+    updateGearbox(keys, state, dt);
+    if (throttle) { // Throttle
+        state.speed += state.acceleration * fuelMix.power * massFactor * getDriveFactor(state) * dt;
+        state.fuel = Math.max(0,
+            state.fuel - CONFIG.FUEL_BURN_PER_METRE * fuelMix.consumption * Math.abs(state.speed) * dt);
     } else if (keys['s']) { // Reverse/Brake
-        if (state.speed > -0.5) {
-            state.speed -= state.reverseSpeed;
+        if (state.speed > -30) {
+            state.speed -= state.reverseSpeed * dt;
         }
     }
 
     // Space bar brake
     if (keys[' ']) { // Hard Brake
         if (state.speed !== 0) {
-            state.speed *= state.braking;
+            state.speed *= decay(state.braking, dt);
         }
     }
 
+    // Aerodynamic drag; a tow from the car ahead cuts it and lifts the top speed
+    // An open DRS flap does the same on its own
+    const drsOpen = state.drsOpen ? 1 : 0;
+    const drag = state.dragCoefficient *
+        (1 - CONFIG.SLIPSTREAM_DRAG_REDUCTION * state.slipstream) *
+        (1 - CONFIG.DRS_DRAG_REDUCTION * drsOpen);
+    state.speed -= drag * state.speed * Math.abs(state.speed) * dt;
+    const maxSpeed = state.maxSpeed * fuelMix.power *
+        (1 + CONFIG.SLIPSTREAM_TOP_SPEED_GAIN * state.slipstream) *
+        (1 + CONFIG.DRS_TOP_SPEED_GAIN * drsOpen);
+
+    // Gravity along the slope: climbing slows the car, descending speeds it up
+    state.speed -= CONFIG.SLOPE_ACCELERATION * Math.sin(state.pitch) * dt;
+
     // Natural friction when no input
-    if (!keys['w'] && !keys['s'] && !keys[' ']) {
-        state.speed *= state.friction;
+    if (!throttle && !keys['s'] && !keys[' ']) {
+        state.speed *= decay(state.friction, dt);
     }
 
+    // Grass and gravel bleed speed off on top of that
+    const surface = CONFIG.SURFACES[state.surface];
+    state.speed *= decay(surface.drag, dt);
+    state.speed -= Math.sign(state.speed) * Math.min(Math.abs(state.speed), surface.rollingResistance * dt);
+
     // Speed limits
-    state.speed = Math.max(-state.maxSpeed / 2, Math.min(state.maxSpeed, state.speed));
-    if (Math.abs(state.speed) < 0.005) {
+    state.speed = Math.max(-state.maxSpeed / 2, Math.min(maxSpeed, state.speed));
+    if (state.inPitLane) {
+        state.speed = Math.max(-CONFIG.PIT_SPEED_LIMIT, Math.min(CONFIG.PIT_SPEED_LIMIT, state.speed));
+    }
+    // Creeping to a halt is snapped to a stop, but never under drive, where a small step's
+    // worth of acceleration from standstill would be snapped away too
+    if (!throttle && !keys['s'] && Math.abs(state.speed) < 0.3) {
         state.speed = 0;
     }
 
@@ -122,10 +390,16 @@ export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, stee
     let angleDifference = state.rotationAngle - state.velocityAngle;
     while (angleDifference > Math.PI) angleDifference -= 2 * Math.PI;
     while (angleDifference < -Math.PI) angleDifference += 2 * Math.PI;
-    state.velocityAngle += angleDifference * (1 - state.grip);
+    // Banking toward the inside of the turn (road rolled down on the side we turn to) holds the car
+    const bankAssist = Math.max(0, -Math.sign(angleDifference) * Math.sin(state.roll));
+    const alignment = 1 - decay(
+        state.grip * state.tyreGrip * surface.grip * (1 + CONFIG.BANKING_GRIP_GAIN * bankAssist), dt);
+    const slide = Math.abs(angleDifference) * Math.abs(state.speed);
+    state.velocityAngle += angleDifference * alignment;
 
     // Calculate new position using pre-allocated vectors
-    velocityVector.set(Math.sin(state.velocityAngle) * state.speed, 0, Math.cos(state.velocityAngle) * state.speed);
+    velocityVector.set(Math.sin(state.velocityAngle) * state.speed, 0, Math.cos(state.velocityAngle) * state.speed)
+        .multiplyScalar(dt);
     newPosition.copy(state.position).add(velocityVector);
 
     // Track following and collision detection
@@ -140,25 +414,33 @@ export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, stee
     carForward.set(Math.sin(state.rotationAngle), 0, Math.cos(state.rotationAngle));
     const dot = carForward.dot(tangentVector);
 
-    state.isWrongWay = (dot < -0.5 && state.speed > 0.5);
+    state.isWrongWay = (dot < -0.5 && state.speed > 30);
     if (state.isWrongWay) {
-        state.speed *= 0.8; // Slow down when going wrong way
+        state.speed *= decay(WRONG_WAY_DRAG, dt); // Slow down when going wrong way
     }
 
     // NEW: Kerb physics interaction
-    const isOnKerb = checkKerbCollision(newProps, roadHalfWidth);
+    // The road may narrow or widen along the lap; roadHalfWidth is the default
+    const halfWidth = getTrackHalfWidth(curve, newProps.closestT, roadHalfWidth);
+    const lateral = Math.abs(newProps.lateralDistance);
+    const side = newProps.lateralDistance > 0 ? 1 : -1;
+
+    // The pit lane replaces the kerb and run-off on its side; the limiter applies from the next step
+    state.inPitLane = isInPitLane(pitLane, newProps.closestT, side, lateral - halfWidth);
+
+    const isOnKerb = !state.inPitLane && checkKerbCollision(newProps, halfWidth);
     const wasOnKerb = state.isOnKerb;
     state.isOnKerb = isOnKerb;
 
     // Apply kerb effects when entering or on kerbs
-    if (isOnKerb && state.speed > 0.3) {
+    if (isOnKerb && state.speed > 18) {
         const turningIntensity = getTurningIntensity(turnDirection, state.speed);
         
         // Calculate speed reduction based on turning intensity
         const speedReduction = CONFIG.KERB_SLOWDOWN_STRAIGHT + 
                              (CONFIG.KERB_SLOWDOWN_TURNING - CONFIG.KERB_SLOWDOWN_STRAIGHT) * turningIntensity;
         
-        state.speed *= speedReduction;
+        state.speed *= decay(speedReduction, dt);
         
         // Only apply handling reduction when first hitting kerb or turning significantly
         if (!wasOnKerb || turningIntensity > 0.3) {
@@ -168,21 +450,55 @@ export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, stee
         
         // Optional: Add slight vibration/instability when on kerbs during turning
         if (turningIntensity > 0.5) {
-            const instability = turningIntensity * 0.02;
-            state.rotationAngle += (Math.random() - 0.5) * instability;
+            const instability = turningIntensity * CONFIG.KERB_INSTABILITY * dt;
+            state.rotationAngle += (nextRandom(state) - 0.5) * instability;
         }
     }
 
-    // Road boundary collision (off-track)
-    if (Math.abs(newProps.lateralDistance) > roadHalfWidth + 1.5) { // Beyond kerbs
-        state.speed *= 0.95; // Slow down when hitting boundaries
-        const clampedLateral = Math.sign(newProps.lateralDistance) * (roadHalfWidth - 0.1);
-        clampedPosition.copy(newProps.closestPoint).addScaledVector(newProps.binormal, clampedLateral);
-        state.position.lerp(clampedPosition, 0.1); // Smoothly push back to track
+    // Tarmac, kerb, or the run-off on that side; applied from the next step
+    const runoffStart = halfWidth + CONFIG.KERB_WIDTH;
+    const runoffSurface = getRunoffSurface(runoffZones, newProps.closestT, side > 0 ? 'left' : 'right');
+    if (lateral <= halfWidth || state.inPitLane) {
+        state.surface = 'tarmac';
+    } else if (lateral <= runoffStart) {
+        state.surface = 'kerb';
     } else {
-        state.position.copy(newPosition);
+        state.surface = runoffSurface;
+    }
+
+    // Barriers along the far edge of the run-off: tyre walls behind gravel, armco elsewhere
+    state.position.copy(newPosition);
+    const barrierDistance = runoffStart + CONFIG.RUNOFF_WIDTH - lateral;
+    resolveWallCollision(
+        state,
+        -side * newProps.binormal.x,
+        -side * newProps.binormal.z,
+        barrierDistance,
+        CONFIG.BARRIERS[runoffSurface === 'gravel' ? 'tyres' : 'armco']
+    );
+
+    // Sliding and kerbs take their toll; the new grip applies from the next step
+    updateTyres(state, keys, turnDirection, slide,
+        isOnKerb ? (newProps.lateralDistance > 0 ? 'L' : 'R') : null, dt);
+
+    // Stopping in its own box on a visit to the lane starts the service
+    if (!state.inPitLane) {
+        state.pitStopDone = false;
+    } else if (!state.pitStopDone && Math.abs(state.speed) < CONFIG.PIT_STOP_SPEED &&
+        isInPitBox(pitLane, state.pitBox, newProps.closestT, lateral - halfWidth, curve.getLength())) {
+        state.pitStopDone = true;
+        state.pitStopTime = CONFIG.PIT_SERVICE_SECONDS;
+        state.speed = 0;
     }
 
+    // Revs follow the wheels, held up by the clutch when pulling away on the throttle
+    state.rpm = Math.min(CONFIG.REDLINE_RPM, Math.max(getWheelRpm(state.speed, state.gear),
+        throttle ? CONFIG.LAUNCH_RPM : CONFIG.IDLE_RPM));
+
+    // Sit on the road surface and take on its slope and banking
+    state.position.y = newProps.surfaceHeight;
+    updateSurfaceAttitude(state, newProps.surfaceNormal);
+
     return {
         position: state.position,
         rotationAngle: state.rotationAngle,
@@ -190,10 +506,246 @@ export function updatePhysics(keys, state, curve, divisions, roadHalfWidth, stee
         isWrongWay: state.isWrongWay,
         turnDirection: turnDirection,
         isGyroSteering: isGyroSteering,
-        isOnKerb: state.isOnKerb // NEW: Useful for audio/visual feedback
+        isOnKerb: state.isOnKerb, // NEW: Useful for audio/visual feedback
+        surface: state.surface,
+        slipstream: state.slipstream,
+        drsOpen: state.drsOpen,
+        inPitLane: state.inPitLane,
+        pitStopTime: state.pitStopTime,
+        tyreGrip: state.tyreGrip,
+        fuel: state.fuel,
+        gear: state.gear,
+        rpm: state.rpm
     };
 }
 
+// Pitch and roll of the car from the surface normal under it, relative to its heading
+function updateSurfaceAttitude(state, surfaceNormal) {
+    const sin = Math.sin(state.rotationAngle);
+    const cos = Math.cos(state.rotationAngle);
+    const alongForward = surfaceNormal.x * sin + surfaceNormal.z * cos;
+    const alongLeft = surfaceNormal.x * cos - surfaceNormal.z * sin;
+    state.pitch = Math.atan2(-alongForward, surfaceNormal.y);
+    state.roll = Math.atan2(-alongLeft, surfaceNormal.y);
+}
+
+function isInZone(t, zone) {
+    return zone.startT <= zone.endT
+        ? t >= zone.startT && t < zone.endT
+        : t >= zone.startT || t < zone.endT;
+}
+
+// True if the car moved forward over `mark` between two track parameters
+export function crossedTrackPoint(previousT, t, mark) {
+    const travelled = (t - previousT + 1) % 1;
+    if (travelled > 0.5) return false; // Reversing
+    const ahead = (mark - previousT + 1) % 1;
+    return ahead > 0 && ahead <= travelled;
+}
+
+/**
+ * DRS flap for one step; call before updatePhysics. 'e' opens it inside a zone if the
+ * car is eligible (or `freeUse`, for time trial). Braking or leaving the zone closes it,
+ * and leaving a zone also uses up the eligibility.
+ */
+export function updateDrs(keys, state, zones, freeUse = false) {
+    const zoneIndex = zones.findIndex(zone => isInZone(state.currentT, zone));
+    if (zoneIndex !== state.drsZone) {
+        if (state.drsZone !== -1) state.drsEligible = false;
+        state.drsZone = zoneIndex;
+        state.drsOpen = false;
+    }
+
+    if (keys[' '] || keys['s'] || state.launchLocked) {
+        state.drsOpen = false;
+    } else if (keys['e'] && zoneIndex !== -1 && (state.drsEligible || freeUse)) {
+        state.drsOpen = true;
+    }
+}
+
+/**
+ * How much tow `state` gets from `leader` ({ position, rotationAngle, speed }), 0..1.
+ * Strongest right behind the leader's gearbox, fading with distance and angle.
+ */
+export function getSlipstreamStrength(state, leader) {
+    if (leader.speed < 30 || state.speed < 30) return 0;
+
+    const dx = state.position.x - leader.position.x;
+    const dz = state.position.z - leader.position.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance < CONFIG.SLIPSTREAM_MIN_DISTANCE || distance > CONFIG.SLIPSTREAM_RANGE) return 0;
+
+    // Must be inside the cone behind the leader...
+    const behind = -(dx * Math.sin(leader.rotationAngle) + dz * Math.cos(leader.rotationAngle)) / distance;
+    const angle = Math.acos(Math.min(1, behind));
+    if (angle > CONFIG.SLIPSTREAM_CONE_ANGLE) return 0;
+
+    // ...and pointing the same way
+    if (Math.cos(state.rotationAngle - leader.rotationAngle) < 0.8) return 0;
+
+    const distanceFactor = 1 - (distance - CONFIG.SLIPSTREAM_MIN_DISTANCE) /
+        (CONFIG.SLIPSTREAM_RANGE - CONFIG.SLIPSTREAM_MIN_DISTANCE);
+    return distanceFactor * (1 - angle / CONFIG.SLIPSTREAM_CONE_ANGLE);
+}
+
+// Eases the tow in and out over `dt` so it doesn't flicker at the edge of the cone
+export function setSlipstreamTarget(state, target, dt) {
+    state.slipstream = target + (state.slipstream - target) * decay(CONFIG.SLIPSTREAM_SMOOTHING, dt);
+    if (state.slipstream < 0.001) state.slipstream = 0;
+}
+
+// Tow for one step from whichever of `others` gives the most
+function updateSlipstream(state, others, dt) {
+    let strongest = 0;
+    for (const other of others) {
+        if (other !== state) strongest = Math.max(strongest, getSlipstreamStrength(state, other));
+    }
+    setSlipstreamTarget(state, strongest, dt);
+}
+
+/**
+ * One complete step of a car from a control set (see getControls): driver settings,
+ * slipstream, DRS, then physics. This is the whole simulation of a car, shared by the
+ * client's prediction and replay, the server, and headless replays and ghost checks,
+ * which reproduce a lap exactly from its starting state and inputs.
+ * track: { curve, divisions, roadHalfWidth, features }. options.others are the other
+ * cars as they are at this step ({ position, rotationAngle, speed }), for the tow;
+ * options.drsFree allows DRS in every zone (time trial); options.assists false turns
+ * the automatic gearbox off.
+ */
+export function stepCar(state, controls, dt, track, { others = [], drsFree = false, assists = true } = {}) {
+    const { keys, steerValue, fuelMix, autoShift } = controlsToInput(controls);
+    state.fuelMix = fuelMix;
+    state.autoShift = autoShift && assists;
+    updateSlipstream(state, others, dt);
+    updateDrs(keys, state, track.features?.drsZones ?? [], drsFree);
+    return updatePhysics(
+        keys, state, dt, track.curve, track.divisions, track.roadHalfWidth, steerValue, track.features
+    );
+}
+
+// Collapse raw key/gyro input into the compact control set sent to the server.
+// The driver's fuel mix and gearbox mode ride along so they change on exactly the
+// same step everywhere.
+export function getControls(keys, steerValue = null, { fuelMix = CONFIG.DEFAULT_FUEL_MIX, autoShift = true } = {}) {
+    const isAnalog = steerValue !== null && Math.abs(steerValue) > gyroPhysics.deadZone;
+    return {
+        throttle: !!keys['w'],
+        brake: !!keys[' '],
+        reverse: !!keys['s'],
+        drs: !!keys['e'],
+        steer: isAnalog ? steerValue : (keys['d'] ? 1 : 0) - (keys['a'] ? 1 : 0),
+        shiftUp: !!keys['x'],
+        shiftDown: !!keys['z'],
+        analog: isAnalog,
+        fuelMix,
+        autoShift
+    };
+}
+
+// Expand a control set back into the (keys, steerValue) pair updatePhysics expects,
+// plus the fuel mix and gearbox mode to set on the car before the step
+export function controlsToInput(controls) {
+    const steer = Number(controls?.steer) || 0;
+    const analog = !!controls?.analog;
+    return {
+        keys: {
+            'w': !!controls?.throttle,
+            ' ': !!controls?.brake,
+            's': !!controls?.reverse,
+            'e': !!controls?.drs,
+            'x': !!controls?.shiftUp,
+            'z': !!controls?.shiftDown,
+            'a': !analog && steer < 0,
+            'd': !analog && steer > 0
+        },
+        steerValue: analog ? Math.max(-2, Math.min(2, steer)) : null,
+        fuelMix: Object.hasOwn(CONFIG.FUEL_MIXES, controls?.fuelMix) ? controls.fuelMix : CONFIG.DEFAULT_FUEL_MIX,
+        autoShift: controls?.autoShift !== false
+    };
+}
+
+// Compact, JSON-friendly copy of everything updatePhysics reads between steps.
+// The server sends this so clients can rewind and replay their own car.
+export function serializeCarState(state) {
+    return {
+        x: state.position.x,
+        y: state.position.y,
+        z: state.position.z,
+        pitch: state.pitch,
+        roll: state.roll,
+        rotY: state.rotationAngle,
+        velY: state.velocityAngle,
+        speed: state.speed,
+        t: state.currentT,
+        locked: state.launchLocked,
+        surface: state.surface,
+        onKerb: state.isOnKerb,
+        kerbTimer: state.kerbEffectTimer,
+        handling: state.handling,
+        drsEligible: state.drsEligible,
+        drsOpen: state.drsOpen,
+        drsZone: state.drsZone,
+        pitLane: state.inPitLane,
+        pitBox: state.pitBox,
+        pitStop: state.pitStopTime,
+        pitDone: state.pitStopDone,
+        pitStops: state.pitStops,
+        tyreCompound: state.tyreCompound,
+        tyreTemps: state.tyres.map(tyre => tyre.temperature),
+        tyreWear: state.tyres.map(tyre => tyre.wear),
+        fuel: state.fuel,
+        fuelMix: state.fuelMix,
+        gear: state.gear,
+        rpm: state.rpm,
+        autoShift: state.autoShift,
+        shiftTime: state.shiftTime,
+        upPaddle: state.upPaddle,
+        downPaddle: state.downPaddle,
+        slipstream: state.slipstream,
+        random: state.randomSeed
+    };
+}
+
+export function applyCarSnapshot(state, snapshot) {
+    state.position.set(snapshot.x, snapshot.y, snapshot.z);
+    state.pitch = snapshot.pitch;
+    state.roll = snapshot.roll;
+    state.rotationAngle = snapshot.rotY;
+    state.velocityAngle = snapshot.velY;
+    state.speed = snapshot.speed;
+    state.currentT = snapshot.t;
+    state.launchLocked = snapshot.locked;
+    state.surface = snapshot.surface;
+    state.isOnKerb = snapshot.onKerb;
+    state.kerbEffectTimer = snapshot.kerbTimer;
+    state.handling = snapshot.handling;
+    state.drsEligible = snapshot.drsEligible;
+    state.drsOpen = snapshot.drsOpen;
+    state.drsZone = snapshot.drsZone;
+    state.inPitLane = snapshot.pitLane;
+    state.pitBox = snapshot.pitBox;
+    state.pitStopTime = snapshot.pitStop;
+    state.pitStopDone = snapshot.pitDone;
+    state.pitStops = snapshot.pitStops;
+    state.tyreCompound = snapshot.tyreCompound;
+    state.tyres.forEach((tyre, index) => {
+        tyre.temperature = snapshot.tyreTemps[index];
+        tyre.wear = snapshot.tyreWear[index];
+    });
+    state.tyreGrip = getTyreGrip(state);
+    state.fuel = snapshot.fuel;
+    state.fuelMix = snapshot.fuelMix;
+    state.gear = snapshot.gear;
+    state.rpm = snapshot.rpm;
+    state.autoShift = snapshot.autoShift;
+    state.shiftTime = snapshot.shiftTime;
+    state.upPaddle = snapshot.upPaddle;
+    state.downPaddle = snapshot.downPaddle;
+    state.slipstream = snapshot.slipstream;
+    state.randomSeed = snapshot.random;
+}
+
 // Optional: Reset function for car state
 export function resetCarPhysics() {
     carState.position.set(0, 0, 0);
@@ -202,6 +754,25 @@ export function resetCarPhysics() {
     carState.velocityAngle = 0;
     carState.currentT = 0;
     carState.isWrongWay = false;
+    carState.launchLocked = false;
+    carState.surface = 'tarmac';
+    carState.pitch = 0;
+    carState.roll = 0;
+    carState.slipstream = 0;
+    carState.drsEligible = false;
+    carState.drsOpen = false;
+    carState.drsZone = -1;
+    carState.inPitLane = false;
+    carState.pitStopTime = 0;
+    carState.pitStopDone = false;
+    carState.pitStops = 0;
+    fitTyres(carState, carState.tyreCompound);
+    carState.fuel = CONFIG.FUEL_CAPACITY;
+    carState.fuelMix = CONFIG.DEFAULT_FUEL_MIX;
+    carState.gear = 1;
+    carState.rpm = CONFIG.IDLE_RPM;
+    carState.shiftTime = 0;
+    carState.randomSeed = CONFIG.PHYSICS_SEED;
     carState.isOnKerb = false; // NEW
     carState.kerbEffectTimer = 0; // NEW
     carState.handling = carState.originalHandling; // NEW
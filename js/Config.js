@@ -11,16 +11,126 @@ export const CONFIG = {
     // Networking
     SERVER_URL: 'ws://192.168.100.58:8080', // <-- CHANGE FOR PRODUCTION
     INPUT_SEND_RATE_HZ: 12, // Send input 12 times per second
+    INTERPOLATION_DELAY_MS: 100, // Remote cars are rendered this far in the past
+    MAX_EXTRAPOLATION_MS: 250,   // How long remote cars keep moving when packets are late
+    RECONNECT_BASE_DELAY_MS: 500, // First retry delay, doubled on every failed attempt
+    RECONNECT_MAX_DELAY_MS: 8000,
+    RECONNECT_MAX_ATTEMPTS: 8,    // Roughly covers the server's 30s grace period
 
     // Audio
     DEFAULT_VOLUME: 1.5,
 
-    // Physics
+    // Physics. Everything is in world units and seconds: speeds per second, accelerations
+    // per second squared, and shares lost "per second" decay exponentially, so the car
+    // behaves the same whatever fixed step it is simulated with.
+    PHYSICS_RATE_HZ: 60,              // Fixed steps per second; the server simulates at the same rate
+    PHYSICS_SEED: 1,                  // Cars' random generators start from this plus their grid slot
     MAX_SPEED: 3.0,
 
+    // Car-to-car contact
+    CAR_HALF_LENGTH: 2.7,             // Footprint used for collisions
+    CAR_HALF_WIDTH: 1.0,
+    CAR_COLLISION_RESTITUTION: 0.3,   // 0 = cars stick together, 1 = fully elastic
+    CAR_COLLISION_SPEED_PENALTY: 0.9, // Speed kept after an impact
+
+    // Slipstream: a cone behind every car where drag is lower
+    SLIPSTREAM_RANGE: 40,             // Tow fades out completely at this distance
+    SLIPSTREAM_MIN_DISTANCE: 5.4,     // Closer than this we're alongside, not behind
+    SLIPSTREAM_CONE_ANGLE: 0.26,      // Half-angle of the cone (radians)
+    SLIPSTREAM_DRAG_REDUCTION: 0.4,   // Fraction of drag removed at full tow
+    SLIPSTREAM_TOP_SPEED_GAIN: 0.06,  // Extra top speed at full tow
+    SLIPSTREAM_SMOOTHING: 6,          // Rate the tow blends toward its current strength, per second
+
+    // DRS
+    DRS_DETECTION_GAP_MS: 1000,       // Max gap to the car ahead at the detection point
+    DRS_DRAG_REDUCTION: 0.3,
+    DRS_TOP_SPEED_GAIN: 0.08,
+
+    // Elevation and banking
+    SLOPE_ACCELERATION: 72,           // Acceleration on a vertical wall; scaled by sin(pitch)
+    BANKING_GRIP_GAIN: 3.0,           // Extra grip per unit of sin(bank) toward the inside of a turn
+
+    // Surfaces. grip scales how quickly the car's path follows its heading, drag
+    // removes a share of the speed per second and rollingResistance a fixed deceleration
+    SURFACES: {
+        tarmac: { grip: 1, drag: 0, rollingResistance: 0 },
+        kerb: { grip: 1, drag: 0, rollingResistance: 0 }, // See the kerb settings below
+        grass: { grip: 0.4, drag: 1.2, rollingResistance: 7.2 },
+        gravel: { grip: 0.6, drag: 3.7, rollingResistance: 21.6 }
+    },
+    KERB_WIDTH: 1.5,                 // Kerbs run along the road edge; run-off starts beyond them
+    RUNOFF_WIDTH: 15,                // Grass or gravel beyond the kerbs, up to the barriers
+
+    // Barriers: tyre walls behind gravel traps, armco elsewhere. restitution is the share
+    // of the speed into the wall that bounces back, friction the share of the speed
+    // along it that survives the scrape.
+    BARRIERS: {
+        tyres: { restitution: 0.2, friction: 0.7 },
+        armco: { restitution: 0.4, friction: 0.85 }
+    },
+
+    // Pit lane: a road beside the track in place of the run-off on its side
+    PIT_LANE_WIDTH: 10,
+    PIT_TRANSITION_LENGTH: 40,       // Entry and exit roads blend out from and back into the track edge
+    PIT_SPEED_LIMIT: 30,             // Limiter speed anywhere in the lane
+    PIT_BOX_COUNT: 16,               // One per possible player, by grid slot
+    PIT_BOX_LENGTH: 8,
+    PIT_BOX_SPACING: 12,             // Closer together if the lane is short
+    PIT_STOP_SPEED: 3,               // Slower than this inside its own box, a car is serviced
+    PIT_SERVICE_SECONDS: 3,
+
+    // Tyres. A compound's grip scales how quickly the car's path follows its heading
+    // (like a surface's), wearRate how fast its tread goes. Softs are quick but short-lived.
+    TYRE_COMPOUNDS: {
+        soft: { grip: 1.15, wearRate: 1.6, optimalTemperature: 95 },
+        medium: { grip: 1.0, wearRate: 1.0, optimalTemperature: 100 },
+        hard: { grip: 0.9, wearRate: 0.6, optimalTemperature: 105 }
+    },
+    DEFAULT_TYRE_COMPOUND: 'medium',
+    TYRE_AMBIENT_TEMPERATURE: 30,     // °C the tyres cool towards
+    TYRE_FITTED_TEMPERATURE: 70,      // Fresh sets come off the blankets at this
+    TYRE_COOLING: 0.12,               // Share of the gap to ambient lost per second
+    TYRE_ROLLING_HEAT: 0.07,          // Heat per unit travelled
+    TYRE_CORNERING_HEAT: 0.02,        // Extra per unit travelled while steering, on the loaded tyres
+    TYRE_SLIDE_HEAT: 0.2,             // Per unit of slide (slip angle times distance)
+    TYRE_TEMPERATURE_WINDOW: 80,      // Grip falls off with the square of the distance from optimal over this
+    TYRE_MIN_TEMPERATURE_GRIP: 0.7,
+    TYRE_WEAR_PER_DISTANCE: 0.00001,  // Tread lost per unit travelled; 1 is fully worn
+    TYRE_SLIDE_WEAR: 0.0003,          // Per unit of slide
+    TYRE_KERB_WEAR: 0.0002,           // Per unit travelled on a kerb, on that side's tyres
+    TYRE_WEAR_GRIP_LOSS: 0.35,        // Grip lost by a fully worn tyre
+
+    // Fuel. Its mass slows the car and dulls the steering; the mix trades power for consumption
+    CAR_MASS: 800,                    // kg, without fuel
+    FUEL_CAPACITY: 110,               // kg
+    FUEL_BURN_PER_METRE: 0.0015,      // kg per unit travelled on the throttle, at the standard mix
+    FUEL_PLANNED_THROTTLE: 0.85,      // Share of a lap on the throttle assumed when fuelling for a race
+    FUEL_MARGIN: 0.05,                // Extra on top of the planned race fuel
+    FUEL_MIXES: {
+        lean: { power: 0.94, consumption: 0.8 },
+        standard: { power: 1, consumption: 1 },
+        rich: { power: 1.04, consumption: 1.2 }
+    },
+    DEFAULT_FUEL_MIX: 'standard',
+
+    // Gearbox and engine. A gear's top speed is where it reaches REDLINE_RPM, the rev
+    // limiter. Drive is the torque curve at the current revs times the gear's leverage,
+    // GEAR_REFERENCE_SPEED over its top speed.
+    GEAR_TOP_SPEEDS: [30, 43.2, 55.2, 67.2, 80.4, 94.8, 110.4, 126],
+    GEAR_REFERENCE_SPEED: 60,
+    TORQUE_CURVE: [[4000, 0.6], [7000, 0.85], [10500, 1.0], [12000, 0.85]], // [rpm, share of peak torque]
+    IDLE_RPM: 4000,
+    LAUNCH_RPM: 7000,                 // Held with the clutch slipping when pulling away
+    REDLINE_RPM: 12000,
+    AUTO_UPSHIFT_RPM: 11500,
+    AUTO_DOWNSHIFT_RPM: 7000,
+    GEAR_SHIFT_TIME: 0.07,            // Seconds the drive is cut while changing gear
+    SHIFT_LIGHTS_START_RPM: 9500,
+
     // NEW: Kerb Physics
-    KERB_SLOWDOWN_STRAIGHT: 0.98,    // Minimal speed loss when going straight
-    KERB_SLOWDOWN_TURNING: 0.92,     // Significant speed loss when turning
+    KERB_SLOWDOWN_STRAIGHT: 1.2,     // Minimal speed loss when going straight (share per second)
+    KERB_SLOWDOWN_TURNING: 5.0,      // Significant speed loss when turning
+    KERB_INSTABILITY: 1.2,           // Random yaw per second when turning hard on a kerb (radians)
     KERB_HANDLING_REDUCTION: 0.3,    // Temporary handling reduction
     KERB_EFFECT_DURATION: 0.3,       // How long kerb effects last (seconds)
 };
@@ -1,6 +1,9 @@
 import { scene, camera, renderer } from './SceneSetup.js';
 import { gameState } from './State.js';
-import { initGameManager, setRenderer, loadTrackAndRestart } from './GameStateManager.js';
+import {
+    initGameManager, setRenderer, loadTrackAndRestart, placeOnGrid, startRaceClock, applyServerLap, finishRace,
+    applyRoomSettings
+} from './GameStateManager.js';
 import { AudioManager } from './AudioManager.js';
 import { NetworkManager } from './NetworkManager.js';
 import { createF1Car } from './CarModel.js';
@@ -11,7 +14,7 @@ import { MemoryMonitor } from './MemoryMonitor.js';
 import { TextureManager } from './TextureManager.js';
 import { CameraManager } from './CameraManager.js';
 import { getAvailableTracks } from './Utils.js';
-import { clearTrack, trackData } from './TrackBuilder.js';
+import { clearTrack, trackData, getTrackDefinition, hashTrackDefinition } from './TrackBuilder.js';
 
 export class GameInitializer {
     constructor() {
@@ -29,7 +32,7 @@ export class GameInitializer {
         window.gameInitializer = this;
     }
 
-    async initGame(trackName = 'Monza Standard', isMultiplayer = false) {
+    async initGame(trackName = 'Monza Standard', isMultiplayer = false, trackDefinition = null) {
         if (this.initGameInProgress) {
             console.warn('🚫 initGame already in progress, skipping duplicate call');
             return;
@@ -64,7 +67,8 @@ export class GameInitializer {
 
 
         this.inputManager = new InputManager();
-        this.uiManager = new UIManager(this.networkManager);
+        // The lobby may already have created one for the room browser
+        this.uiManager = this.uiManager || new UIManager(this.networkManager);
         this.gameLoop = new GameLoop();
 
         try {
@@ -92,9 +96,7 @@ export class GameInitializer {
 
         // Initialize network if multiplayer
         if (gameState.isMultiplayer) {
-            this.networkManager = new NetworkManager();
-            await this.networkManager.connect();
-            gameState.networkManager = this.networkManager;
+            await this.connectToLobby();
             this.uiManager.setNetworkManager(this.networkManager);
         }
 
@@ -122,7 +124,7 @@ export class GameInitializer {
         }
 
         // Load track and start game
-        loadTrackAndRestart(trackName, scene, camera, this.player);
+        loadTrackAndRestart(trackName, scene, camera, this.player, trackDefinition);
 
         // Start audio engine
         this.audioManager.startEngine();
@@ -131,18 +133,73 @@ export class GameInitializer {
 
     }
 
-    setupMultiplayerHandlers() {
-        if (!this.networkManager) return;
+    // Opens (or reuses) the server connection. The lobby needs it before any race exists.
+    async connectToLobby() {
+        if (!this.networkManager) {
+            this.networkManager = new NetworkManager();
+            gameState.networkManager = this.networkManager;
+            this.setupLobbyHandlers();
+        }
 
-        this.networkManager.addEventListener('roomJoined', (event) => {
-            const { roomId, players, track, hostId } = event.detail;
-            gameState.isMultiplayer = !this.networkManager.singlePlayerMode;
-            this.uiManager.showWaitingForPlayersScreen(roomId, players, hostId, this.networkManager.clientId);
-            loadTrackAndRestart(track, scene, camera, this.player);
+        if (!this.networkManager.isConnected && !this.networkManager.singlePlayerMode) {
+            await this.networkManager.connect();
+        }
+
+        if (this.uiManager) {
+            this.uiManager.setNetworkManager(this.networkManager);
+        } else {
+            this.uiManager = new UIManager(this.networkManager);
+        }
+        return this.networkManager.isConnected;
+    }
+
+    setupLobbyHandlers() {
+        this.networkManager.addEventListener('roomListUpdated', (event) => {
+            this.uiManager?.renderRoomList(event.detail);
+        });
+
+        this.networkManager.addEventListener('serverError', (event) => {
+            this.uiManager?.showNotification(event.detail.message);
+        });
+
+        // Joining a room from the lobby is what sets up the race scene
+        this.networkManager.addEventListener('roomJoined', async (event) => {
+            if (this.gameLoop || this.initGameInProgress) return; // Handled by setupMultiplayerHandlers
+            await this.initGame(event.detail.track, true, event.detail.trackDefinition);
+            this.handleRoomJoined(event.detail, false);
+        });
+    }
+
+    handleRoomJoined({ roomId, players, track, trackDefinition, trackHash, hostId, settings }, reloadTrack = true) {
+        gameState.isMultiplayer = !this.networkManager.singlePlayerMode;
+        this.uiManager.showWaitingForPlayersScreen(roomId, players, hostId, this.networkManager.clientId);
+        if (settings) this.uiManager.updateRoomSettings(settings);
+        if (reloadTrack) {
+            loadTrackAndRestart(track, scene, camera, this.player, trackDefinition);
+        }
 
-            if (this.networkManager.singlePlayerMode) {
-                setTimeout(() => this.networkManager.startGame(), 500);
+        // Tell the server which layout we actually built so mismatches block the start
+        if (!this.networkManager.singlePlayerMode && trackData.definition) {
+            const localHash = hashTrackDefinition(trackData.definition);
+            if (trackHash && localHash !== trackHash) {
+                this.uiManager.showNotification('Track data differs from the host, cannot race');
             }
+            this.networkManager.reportTrackReady(localHash);
+            this.networkManager.selectTyres(gameState.tyreCompound);
+        }
+
+        if (this.networkManager.singlePlayerMode) {
+            setTimeout(() => this.networkManager.startGame(), 500);
+        }
+    }
+
+    setupMultiplayerHandlers() {
+        // initGame runs again on restart but the connection (and its listeners) survive
+        if (!this.networkManager || this.multiplayerHandlersTarget === this.networkManager) return;
+        this.multiplayerHandlersTarget = this.networkManager;
+
+        this.networkManager.addEventListener('roomJoined', (event) => {
+            this.handleRoomJoined(event.detail);
         });
 
         this.networkManager.addEventListener('playerListUpdated', (event) => {
@@ -151,8 +208,49 @@ export class GameInitializer {
             this.uiManager.updateStartButtonVisibility(hostId, this.networkManager.clientId);
         });
 
-        this.networkManager.addEventListener('gameStarted', () => {
+        this.networkManager.addEventListener('roomSettingsUpdated', (event) => {
+            this.uiManager.updateRoomSettings(event.detail);
+        });
+
+        this.networkManager.addEventListener('connectionLost', () => {
+            this.uiManager.showNotification('Connection lost, reconnecting...');
+        });
+
+        this.networkManager.addEventListener('sessionResumed', (event) => {
+            const { players, hostId, settings, gameStarted } = event.detail;
+            this.uiManager.showNotification('Reconnected', 'success');
+            if (players && !gameStarted) {
+                if (settings) this.uiManager.updateRoomSettings(settings);
+                this.uiManager.updatePlayerList(players, hostId);
+                this.uiManager.updateStartButtonVisibility(hostId, this.networkManager.clientId);
+            }
+        });
+
+        this.networkManager.addEventListener('sessionLost', () => {
+            this.uiManager.showNotification('Could not rejoin the race');
+        });
+
+        this.networkManager.addEventListener('playerDisconnected', (event) => {
+            this.uiManager.showNotification(`${event.detail.name || 'A player'} lost connection`);
+        });
+
+        this.networkManager.addEventListener('playerReconnected', (event) => {
+            this.uiManager.showNotification(`${event.detail.name || 'A player'} is back`, 'success');
+        });
+
+        this.networkManager.addEventListener('gameStarted', (event) => {
             this.uiManager.hideWaitingScreen();
+
+            // The server sends a grid and a light sequence; single player just goes
+            const { grid, lightsStartAt, lightCount, lightInterval, settings } = event.detail || {};
+            if (settings) applyRoomSettings(settings);
+            const mySlot = grid?.find(entry => entry.id === this.networkManager.clientId);
+            gameState.serverTimed = !!mySlot;
+            if (mySlot) {
+                placeOnGrid(mySlot.slot, this.player);
+                this.uiManager.showStartLights(lightsStartAt, lightCount, lightInterval);
+            }
+
             if (!gameState.audioInitialized) {
                 this.audioManager.init().then(() => this.audioManager.startEngine());
             } else {
@@ -163,6 +261,39 @@ export class GameInitializer {
                 this.startGameLoop();
             }
         });
+
+        this.networkManager.addEventListener('lightsOut', () => {
+            this.uiManager.hideStartLights();
+            startRaceClock();
+        });
+
+        this.networkManager.addEventListener('standingsUpdated', (event) => {
+            this.uiManager.updateStandings(event.detail, this.networkManager.clientId);
+        });
+
+        this.networkManager.addEventListener('lapCompleted', (event) => {
+            applyServerLap(event.detail);
+        });
+
+        this.networkManager.addEventListener('playerFinished', (event) => {
+            const { playerId, name, position, cutoffMs } = event.detail;
+            if (playerId === this.networkManager.clientId) {
+                this.audioManager.playFinishSound();
+                this.uiManager.showNotification(`Finished P${position}`, 'success');
+            } else if (position === 1) {
+                this.uiManager.showNotification(`${name || 'A player'} wins! ${cutoffMs / 1000}s for the rest to finish`);
+            }
+        });
+
+        this.networkManager.addEventListener('raceResults', (event) => {
+            finishRace(event.detail.results);
+        });
+
+        this.networkManager.addEventListener('jumpStart', (event) => {
+            const { playerId, name, penaltyMs } = event.detail;
+            const who = playerId === this.networkManager.clientId ? 'You' : (name || 'A player');
+            this.uiManager.showNotification(`${who}: jump start, +${penaltyMs / 1000}s penalty`);
+        });
     }
 
     startGameLoop() {
@@ -230,7 +361,8 @@ export class GameInitializer {
         if (gameState.remotePlayers && gameState.remotePlayers.size > 0) {
             //console.log(`🧹 Clearing ${gameState.remotePlayers.size} remote players`);
             gameState.remotePlayers.forEach(({ mesh }) => {
-                if (mesh && scene) scene.remove(mesh);
+                if (!mesh) return; // Model still loading
+                if (scene) scene.remove(mesh);
                 if (mesh.geometry) mesh.geometry.dispose();
                 if (mesh.material) {
                     if (Array.isArray(mesh.material)) {
@@ -282,10 +414,12 @@ export function setupMenuNavigation(gameInitializer) {
         muteAudio();
     });
 
-    document.getElementById('multiplayer-button').addEventListener('click', function () {
+    document.getElementById('multiplayer-button').addEventListener('click', async function () {
         document.getElementById('main-menu').style.display = 'none';
         document.getElementById('networkMenu').style.display = 'block';
         loadTrackList('trackSelect-network');
+        await gameInitializer.connectToLobby();
+        gameInitializer.uiManager.showNetworkMenu();
     });
 
     document.getElementById('singleplayer-button').addEventListener('click', function () {
@@ -306,6 +440,7 @@ export function setupMenuNavigation(gameInitializer) {
 
     // Back button handlers
     document.getElementById('back-to-main-button').addEventListener('click', function () {
+        gameInitializer.uiManager?.stopRoomBrowser();
         document.getElementById('networkMenu').style.display = 'none';
         document.getElementById('main-menu').style.display = 'block';
     });
@@ -317,9 +452,13 @@ export function setupMenuNavigation(gameInitializer) {
 
     document.getElementById('back-to-lobby-button').addEventListener('click', function () {
         document.getElementById('waiting-for-players').style.display = 'none';
-        document.getElementById('networkMenu').style.display = 'block';
         if (gameInitializer.networkManager && gameInitializer.networkManager.isConnected) {
-            gameInitializer.networkManager.disconnect();
+            gameInitializer.networkManager.leaveRoom();
+        }
+        if (gameInitializer.uiManager) {
+            gameInitializer.uiManager.showNetworkMenu();
+        } else {
+            document.getElementById('networkMenu').style.display = 'block';
         }
     });
 
@@ -352,20 +491,24 @@ export function setupMenuNavigation(gameInitializer) {
 
     if (createRoomButton) {
         createRoomButton.addEventListener('click', function () {
-            const playerName = document.getElementById('player-name-input')?.value || 'Player';
+            const playerName = document.getElementById('playerNameInput')?.value || 'Player';
             const selectedTrack = document.getElementById('trackSelect-network')?.value;
+            const isPrivate = document.getElementById('private-room-toggle')?.checked;
             if (gameInitializer.networkManager) {
-                gameInitializer.networkManager.createRoom(playerName, selectedTrack);
+                // Guests get the layout from the room, not from their own saved tracks
+                const trackDefinition = getTrackDefinition(selectedTrack);
+                gameInitializer.networkManager.createRoom(playerName, selectedTrack, isPrivate, trackDefinition);
             }
         });
     }
 
     if (joinRoomButton) {
         joinRoomButton.addEventListener('click', function () {
-            const playerName = document.getElementById('player-name-input')?.value || 'Player';
-            const roomId = document.getElementById('room-id-input')?.value;
+            const playerName = document.getElementById('playerNameInput')?.value || 'Player';
+            const roomId = document.getElementById('roomIdInput')?.value.trim().toUpperCase();
+            const password = document.getElementById('roomPasswordInput')?.value || '';
             if (gameInitializer.networkManager) {
-                gameInitializer.networkManager.joinRoom(roomId, playerName);
+                gameInitializer.networkManager.joinRoom(roomId, playerName, password);
             }
         });
     }
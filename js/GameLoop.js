@@ -1,18 +1,24 @@
 import * as THREE from 'three';
 import { gameState } from './State.js';
 import { CONFIG } from './Config.js';
-import { carState, updatePhysics } from './CarPhysics.js';
+import { carState, stepCar, getControls, applyCarSnapshot } from './CarPhysics.js';
 import { trackData, roadHalfWidth } from './TrackBuilder.js';
-import { checkLapCompletion } from './GameStateManager.js';
+import { checkLapCompletion, getFuelLapsRemaining, isAutoShiftAllowed } from './GameStateManager.js';
+import { resolveCarCollision, carCollisionsEnabled } from './CarCollision.js';
 import { getMemoryStatus } from './MemoryMonitor.js';
 import { scene, camera, renderer } from './SceneSetup.js';
 
+// Server corrections are eased in over this time constant instead of snapping the car
+const CORRECTION_SMOOTHING_MS = 100;
+// Anything bigger is a genuine teleport (respawn, grid placement) and is applied at once
+const MAX_SMOOTHED_CORRECTION = 8;
+
 export class GameLoop {
     constructor() {
         this.isRunning = false;
         this.animationFrameId = null;
         this.lastPhysicsUpdateTime = 0;
-        this.physicsTimeStep = 1000 / 60;
+        this.physicsTimeStep = 1000 / CONFIG.PHYSICS_RATE_HZ;
         this.accumulatedPhysicsTime = 0;
         this.frameCounter = 0;
         this.networkTickRate = 1000 / CONFIG.INPUT_SEND_RATE_HZ;
@@ -25,6 +31,13 @@ export class GameLoop {
         this.currentCarRotation = new THREE.Euler(0, 0, 0);
         this.CAR_Y_OFFSET = 0.8;
 
+        // Prediction / reconciliation
+        this.predictedPosition = new THREE.Vector3();
+        this.correctionDelta = new THREE.Vector3();
+        this.correctionOffset = new THREE.Vector3();
+        this.rotationCorrection = 0;
+        this.lastFrameDelta = 0;
+
         this.player = null;
         this.inputManager = null;
         this.audioManager = null;
@@ -46,8 +59,8 @@ export class GameLoop {
         // Initialize interpolation states
         this.prevCarPosition.copy(carState.position);
         this.currentCarPosition.copy(carState.position);
-        this.prevCarRotation.set(0, carState.rotationAngle, 0);
-        this.currentCarRotation.set(0, carState.rotationAngle, 0);
+        this.prevCarRotation.set(-carState.pitch, carState.rotationAngle, carState.roll);
+        this.currentCarRotation.set(-carState.pitch, carState.rotationAngle, carState.roll);
     }
 
     start() {
@@ -118,6 +131,7 @@ export class GameLoop {
         const deltaTime = currentTime - this.lastPhysicsUpdateTime;
         this.lastPhysicsUpdateTime = currentTime;
         this.accumulatedPhysicsTime += deltaTime;
+        this.lastFrameDelta = deltaTime;
 
         if (!trackData?.curve || !trackData?.divisions) {
             console.warn('Track data not ready, skipping physics update');
@@ -125,6 +139,18 @@ export class GameLoop {
             return;
         }
 
+        // The server holds our car where the link dropped until the session resumes,
+        // so driving on here would only be undone by the first correction
+        if (this.networkManager?.isResuming && gameState.isMultiplayer) {
+            this.accumulatedPhysicsTime = 0;
+            return;
+        }
+
+        const isPredicting = this.isPredicting();
+        if (isPredicting) {
+            this.reconcileWithServer();
+        }
+
         // Fixed physics updates
         while (this.accumulatedPhysicsTime >= this.physicsTimeStep) {
             this.prevCarPosition.copy(this.currentCarPosition);
@@ -133,32 +159,136 @@ export class GameLoop {
             const inputState = this.inputManager.getInputState();
             const gyroSteering = this.inputManager.getGyroSteering();
 
-            const physicsResult = updatePhysics(
-                inputState,
-                carState,
-                trackData.curve,
-                trackData.divisions,
-                roadHalfWidth,
-                gyroSteering
-            );
+            // The exact controls of this step are what the server will replay for us
+            const controls = getControls(inputState, gyroSteering, {
+                fuelMix: gameState.fuelMix,
+                autoShift: gameState.autoShift && isAutoShiftAllowed()
+            });
+            const stepTime = this.networkManager?.getServerTime() ?? 0;
+            if (isPredicting) {
+                this.networkManager.recordInput(controls, stepTime);
+            }
+
+            const remoteCars = this.getRemoteCarsAt(stepTime);
+            const physicsResult = stepCar(carState, controls, this.physicsTimeStep / 1000, this.getPhysicsTrack(), {
+                others: remoteCars,
+                drsFree: this.isDrsFree()
+            });
+
+            if (isPredicting && carCollisionsEnabled(gameState.roomSettings)) {
+                this.collideWithRemoteCars(remoteCars);
+            }
 
            const { position, rotationAngle, speed, isWrongWay, turnDirection } = physicsResult;
 
             this.currentCarPosition.copy(position);
-            this.currentCarRotation.set(0, rotationAngle, 0);
+            this.currentCarRotation.set(-carState.pitch, rotationAngle, carState.roll);
 
             this.updateWheelAnimations(speed, turnDirection, gyroSteering);
-            this.updateAudio(speed);
+            this.updateAudio(carState.rpm, carState.gear, speed);
 
             if (this.frameCounter % 3 === 0 && this.uiManager) {
-                if (checkLapCompletion(position, speed)) return;
-                this.uiManager.updateHUD({ isWrongWay, speed: carState.speed });
+                if (checkLapCompletion(speed)) return;
+                this.uiManager.updateHUD({
+                    isWrongWay,
+                    speed: carState.speed,
+                    gearbox: { gear: carState.gear, rpm: carState.rpm, speed: carState.speed, autoShift: carState.autoShift },
+                    slipstream: carState.slipstream,
+                    drs: {
+                        open: carState.drsOpen,
+                        available: carState.drsEligible || this.isDrsFree(),
+                        inZone: carState.drsZone !== -1
+                    },
+                    pit: {
+                        inLane: carState.inPitLane,
+                        serviceSeconds: carState.pitStopTime
+                    },
+                    tyres: { compound: carState.tyreCompound, tyres: carState.tyres },
+                    fuel: { kg: carState.fuel, laps: getFuelLapsRemaining(), mix: carState.fuelMix }
+                });
             }
 
             this.accumulatedPhysicsTime -= this.physicsTimeStep;
         }
     }
 
+    // Remote cars where the server has them at serverTime, for the tow and contact.
+    // Empty until the server clock is known (and always in time trial).
+    getRemoteCarsAt(serverTime) {
+        if (!this.networkManager || this.networkManager.serverTimeOffset === null) return [];
+        return this.networkManager.sampleRemoteCars(serverTime);
+    }
+
+    // Remote cars are server-owned, so only our car reacts. The server resolves the
+    // same contact for everyone and reconciliation settles any disagreement.
+    collideWithRemoteCars(remoteCars) {
+        remoteCars.forEach(remote => resolveCarCollision(carState, remote, false));
+    }
+
+    // The loaded track, in the shape stepCar takes
+    getPhysicsTrack() {
+        return {
+            curve: trackData.curve,
+            divisions: trackData.divisions,
+            roadHalfWidth,
+            features: trackData.features
+        };
+    }
+
+    // Outside a server race (time trial) DRS can be used in every zone
+    isDrsFree() {
+        return !gameState.serverTimed;
+    }
+
+    isPredicting() {
+        return gameState.isMultiplayer && !!this.networkManager?.isConnected && !this.networkManager.singlePlayerMode;
+    }
+
+    // Rewind our car to the last server state and replay the inputs the server has not seen yet
+    reconcileWithServer() {
+        const correction = this.networkManager.takeServerCorrection();
+        if (!correction) return;
+
+        this.predictedPosition.copy(carState.position);
+        const predictedRotation = carState.rotationAngle;
+
+        applyCarSnapshot(carState, correction.state);
+        const track = this.getPhysicsTrack();
+        const collisions = carCollisionsEnabled(gameState.roomSettings);
+        // Each replayed step runs exactly as it was predicted, contact included
+        for (const { controls, serverTime } of this.networkManager.pendingInputs) {
+            const remoteCars = this.getRemoteCarsAt(serverTime);
+            stepCar(carState, controls, this.physicsTimeStep / 1000, track, {
+                others: remoteCars,
+                drsFree: this.isDrsFree()
+            });
+            if (collisions) this.collideWithRemoteCars(remoteCars);
+        }
+
+        // Move the interpolation endpoints onto the corrected path and ease the
+        // rendered car across the difference
+        this.correctionDelta.subVectors(carState.position, this.predictedPosition);
+        let rotationDelta = carState.rotationAngle - predictedRotation;
+
+        this.prevCarPosition.add(this.correctionDelta);
+        this.currentCarPosition.add(this.correctionDelta);
+        this.prevCarRotation.y += rotationDelta;
+        this.currentCarRotation.y += rotationDelta;
+        this.currentCarRotation.x = -carState.pitch;
+        this.currentCarRotation.z = carState.roll;
+
+        if (this.correctionDelta.length() > MAX_SMOOTHED_CORRECTION) {
+            this.correctionOffset.set(0, 0, 0);
+            this.rotationCorrection = 0;
+            return;
+        }
+
+        while (rotationDelta > Math.PI) rotationDelta -= 2 * Math.PI;
+        while (rotationDelta < -Math.PI) rotationDelta += 2 * Math.PI;
+        this.correctionOffset.sub(this.correctionDelta);
+        this.rotationCorrection -= rotationDelta;
+    }
+
     updateWheelAnimations(speed, turnDirection, gyroSteering) {
         if (!gameState.playerParts) return;
 
@@ -198,9 +328,9 @@ export class GameLoop {
         wheelPivots.frontRight.rotation.z = steerAngle;
     }
 
-    updateAudio(speed) {
+    updateAudio(rpm, gear, speed) {
         if (this.audioManager) {
-            this.audioManager.update(speed);
+            this.audioManager.update(rpm, gear, speed);
         }
     }
 
@@ -211,8 +341,19 @@ export class GameLoop {
 
         // Interpolate position and rotation
         this.player.position.copy(this.prevCarPosition).lerp(this.currentCarPosition, alpha);
-        this.player.position.y = this.CAR_Y_OFFSET;
+        this.player.position.y += this.CAR_Y_OFFSET;
+        // Heading first, then the pitch and roll of the road under the car
+        this.player.rotation.order = 'YXZ';
+        this.player.rotation.x = this.prevCarRotation.x + (this.currentCarRotation.x - this.prevCarRotation.x) * alpha;
         this.player.rotation.y = this.prevCarRotation.y + (this.currentCarRotation.y - this.prevCarRotation.y) * alpha;
+        this.player.rotation.z = this.prevCarRotation.z + (this.currentCarRotation.z - this.prevCarRotation.z) * alpha;
+
+        // Ease out any remaining server correction
+        this.player.position.add(this.correctionOffset);
+        this.player.rotation.y += this.rotationCorrection;
+        const decay = Math.exp(-this.lastFrameDelta / CORRECTION_SMOOTHING_MS);
+        this.correctionOffset.multiplyScalar(decay);
+        this.rotationCorrection *= decay;
 
         // Update camera
         this.cameraManager.update();
@@ -224,14 +365,10 @@ export class GameLoop {
         const currentTime = performance.now();
 
         if (currentTime - this.lastNetworkUpdate > this.networkTickRate) {
-            this.networkManager.sendInput(carState);
+            this.networkManager.sendInputs();
             this.lastNetworkUpdate = currentTime;
         }
 
-        if (this.frameCounter % 60 === 0) {
-            this.networkManager.sendInput(carState);
-        }
-
         this.networkManager.updateRemotePlayers();
     }
 
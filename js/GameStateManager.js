@@ -1,7 +1,9 @@
 import { gameState } from './State.js';
-import { carState } from './CarPhysics.js';
-import { trackData, loadTrackDefinition, generateTrackMesh, clearTrack } from './TrackBuilder.js';
-import { getTrackProperties } from './Utils.js';
+import { CONFIG } from './Config.js';
+import { carState, fitTyres, getRaceFuel } from './CarPhysics.js';
+import {
+    trackData, loadTrackDefinition, loadTrackFromDefinition, generateTrackMesh, clearTrack, getGridSlot, getLapT
+} from './TrackBuilder.js';
 
 let uiManager;
 let audioManager;
@@ -68,9 +70,15 @@ export function updateKerbFeedback(isOnKerb) {
     wasOnKerb = isOnKerb;
 }
 
-export function loadTrackAndRestart(trackName, scene, camera, player) {
+// `trackDefinition` is the layout shipped with a multiplayer room; without one the
+// track is looked up locally by name
+export function loadTrackAndRestart(trackName, scene, camera, player, trackDefinition = null) {
     // ✅ ALWAYS load track definition FIRST
-    loadTrackDefinition(trackName); // This sets trackData.curve
+    if (trackDefinition) {
+        loadTrackFromDefinition(trackDefinition); // This sets trackData.curve
+    } else {
+        loadTrackDefinition(trackName); // This sets trackData.curve
+    }
 
     // ✅ DEFENSIVE: Check if curve exists
     if (!trackData.curve) {
@@ -103,15 +111,27 @@ export function loadTrackAndRestart(trackName, scene, camera, player) {
     generateTrackMesh(scene);
 
     // Reset car physics state
-    const startPosition = trackData.curve.getPointAt(0);
-    const tempTangent = trackData.curve.getTangentAt(0);
+    const { startFinishT } = trackData.features;
+    const startPosition = trackData.curve.getPointAt(startFinishT);
+    const tempTangent = trackData.curve.getTangentAt(startFinishT);
     const rotationAngle = Math.atan2(tempTangent.x, tempTangent.z);
 
     carState.position.copy(startPosition);
     carState.rotationAngle = rotationAngle;
     carState.velocityAngle = rotationAngle;
     carState.speed = 0;
-    carState.currentT = 0;
+    carState.currentT = startFinishT;
+    carState.pitch = 0; // Picked up from the road on the first physics step
+    carState.roll = 0;
+    carState.surface = 'tarmac';
+    carState.inPitLane = false;
+    carState.pitBox = 0; // Time trial has the first box to itself
+    carState.pitStopTime = 0;
+    carState.pitStopDone = false;
+    carState.pitStops = 0;
+    fitTyres(carState, gameState.tyreCompound);
+    resetGearbox();
+    carState.randomSeed = CONFIG.PHYSICS_SEED;
     carState.isOnKerb = false; // NEW: Reset kerb state
     carState.kerbEffectTimer = 0; // NEW
 
@@ -123,6 +143,11 @@ export function loadTrackAndRestart(trackName, scene, camera, player) {
     // Reset game state
     gameState.currentLap = 1;
     gameState.previousT = 0;
+    gameState.crossedStartLine = true;
+    gameState.serverTimed = false;
+    gameState.totalLaps = CONFIG.TOTAL_LAPS;
+    gameState.roomSettings = null;
+    fuelForRace();
     gameState.lapTimes = [];
     gameState.bestLapTime = Infinity;
     gameState.startTime = performance.now();
@@ -156,17 +181,126 @@ export function loadTrackAndRestart(trackName, scene, camera, player) {
     }
 }
 
-export function checkLapCompletion(position, speed) {
-    if (!trackData.curve) return false;
+// Multiplayer races start from a grid slot behind the line, held until lights out
+export function placeOnGrid(slotIndex, player) {
+    if (!trackData.curve) return;
+
+    const slot = getGridSlot(trackData.curve, slotIndex, trackData.features.startFinishT);
+    carState.position.copy(slot.position);
+    carState.rotationAngle = slot.rotationAngle;
+    carState.velocityAngle = slot.rotationAngle;
+    carState.speed = 0;
+    carState.currentT = slot.t;
+    carState.pitch = 0;
+    carState.roll = 0;
+    carState.surface = 'tarmac';
+    carState.inPitLane = false;
+    carState.pitBox = slotIndex;
+    carState.pitStopTime = 0;
+    carState.pitStopDone = false;
+    carState.pitStops = 0;
+    fitTyres(carState, gameState.tyreCompound);
+    fuelForRace();
+    resetGearbox();
+    carState.randomSeed = CONFIG.PHYSICS_SEED + slotIndex; // Same as the server's
+    carState.launchLocked = true;
+
+    if (player) {
+        player.position.copy(carState.position);
+        player.rotation.y = carState.rotationAngle;
+    }
+
+    // Crossing the line on the way off the grid starts lap 1, it doesn't finish it
+    gameState.previousT = getLapT(slot.t, trackData.features.startFinishT);
+    gameState.crossedStartLine = false;
+}
+
+// Fills up for gameState.totalLaps at the standard mix
+function fuelForRace() {
+    carState.fuel = getRaceFuel(gameState.totalLaps, trackData.curve.getLength());
+    gameState.fuelMix = CONFIG.DEFAULT_FUEL_MIX;
+    carState.fuelMix = gameState.fuelMix;
+    gameState.lapStartFuel = carState.fuel;
+    gameState.fuelPerLap = null;
+}
+
+// Lean, standard, rich and round again; the change goes out with the next input
+export function cycleFuelMix() {
+    const mixes = Object.keys(CONFIG.FUEL_MIXES);
+    gameState.fuelMix = mixes[(mixes.indexOf(gameState.fuelMix) + 1) % mixes.length];
+    uiManager?.showNotification(`Fuel mix: ${gameState.fuelMix.toUpperCase()}`);
+}
+
+function resetGearbox() {
+    carState.gear = 1;
+    carState.rpm = CONFIG.IDLE_RPM;
+    carState.shiftTime = 0;
+}
 
-    const trackProps = getTrackProperties(position, trackData.curve, trackData.divisions, carState.currentT);
-    carState.currentT = trackProps.closestT;
+// The automatic gearbox counts as a driving aid, so the room host can turn it off
+export function isAutoShiftAllowed() {
+    return gameState.roomSettings?.assists ?? true;
+}
+
+export function toggleAutoShift() {
+    gameState.autoShift = !gameState.autoShift;
+    if (gameState.autoShift && !isAutoShiftAllowed()) {
+        uiManager?.showNotification('Gearbox: MANUAL (driving aids are off in this room)');
+        return;
+    }
+    uiManager?.showNotification(`Gearbox: ${gameState.autoShift ? 'AUTO' : 'MANUAL'}`);
+}
+
+// Laps the fuel on board lasts at the last lap's consumption, or the planned rate before
+// a lap has been completed. Infinity if nothing is being used.
+export function getFuelLapsRemaining() {
+    const perLap = gameState.fuelPerLap ?? getRaceFuel(1, trackData.curve.getLength()) / (1 + CONFIG.FUEL_MARGIN);
+    return perLap > 0 ? carState.fuel / perLap : Infinity;
+}
+
+export function applyRoomSettings(settings) {
+    gameState.roomSettings = settings;
+    gameState.totalLaps = settings.laps;
+    networkManager?.setRemoteGhosting(settings.ghosting);
+}
+
+// Server-timed laps; serverTime is when the car crossed the line
+export function applyServerLap({ lap, lapMs, bestLapMs, serverTime }) {
+    gameState.lapTimes.push(lapMs);
+    gameState.bestLapTime = bestLapMs;
+    gameState.currentLap = Math.min(lap + 1, gameState.totalLaps);
+    gameState.lapStartTime = performance.now() - (networkManager.getServerTime() - serverTime);
+}
+
+export function finishRace(results) {
+    gameState.isPaused = true;
+    uiManager.showRaceResults(results);
+}
+
+export function startRaceClock() {
+    carState.launchLocked = false;
+    gameState.startTime = performance.now();
+    gameState.lapStartTime = gameState.startTime;
+}
+
+// The car's track position comes from stepCar; this only reads it
+export function checkLapCompletion(speed) {
+    if (!trackData.curve) return false;
 
-    if (gameState.previousT > 0.95 && carState.currentT < 0.05 && speed > 0.5) {
-        if (handleLapFinish()) {
-            return true;
+    const lapT = getLapT(carState.currentT, trackData.features.startFinishT);
+
+    if (gameState.previousT > 0.95 && lapT < 0.05) {
+        // Pulling away from the grid can be slow, so that first crossing ignores speed.
+        // So does a lane that runs over the line, where the limiter keeps cars slow.
+        if (!gameState.crossedStartLine) {
+            gameState.crossedStartLine = true;
+            gameState.lapStartFuel = carState.fuel;
+        } else if (speed > 30 || carState.inPitLane) {
+            gameState.fuelPerLap = gameState.lapStartFuel - carState.fuel;
+            gameState.lapStartFuel = carState.fuel;
+            if (!gameState.serverTimed && handleLapFinish()) return true;
         }
     }
-    gameState.previousT = carState.currentT;
+    gameState.previousT = lapT;
     return false;
 }
\ No newline at end of file
@@ -1,6 +1,6 @@
 import { gameState } from './State.js';
 import { CONFIG } from './Config.js';
-import { togglePause } from './GameStateManager.js'; // ✅ FIXED: Added missing import
+import { togglePause, cycleFuelMix, toggleAutoShift } from './GameStateManager.js'; // ✅ FIXED: Added missing import
 
 export class InputManager {
     constructor() {
@@ -36,6 +36,7 @@ export class InputManager {
 
         // Touch controls
         if (this.isTouchDevice) {
+            this.setupDrsButton();
             this.setupTouchControls();
         }
 
@@ -69,6 +70,10 @@ export class InputManager {
             window.cameraManager?.toggleCamera();
         } else if (key === 'm') {
             this.audioManager?.toggleMute();
+        } else if (key === 'f' && !event.repeat) {
+            cycleFuelMix();
+        } else if (key === 'g' && !event.repeat) {
+            toggleAutoShift();
         }
     }
 
@@ -135,6 +140,19 @@ export class InputManager {
         });
     }
 
+    // The DRS button holds the same key as the keyboard ('e')
+    setupDrsButton() {
+        const drsButton = document.getElementById('drs-button');
+        drsButton?.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            gameState.keys['e'] = true;
+        }, { passive: false });
+        drsButton?.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            gameState.keys['e'] = false;
+        }, { passive: false });
+    }
+
     setupGyroscope() {
         if (window.DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission === 'function') {
             // iOS 13+
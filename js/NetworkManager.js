@@ -4,7 +4,32 @@ import { createF1Car } from './CarModel.js';
 import { CONFIG } from './Config.js';
 import { gameState } from './State.js';
 import { scene } from './SceneSetup.js';
-import { carState } from './CarPhysics.js'; // ✅ ADD THIS IMPORT
+import { SnapshotBuffer } from './SnapshotBuffer.js';
+
+const MAX_PENDING_INPUTS = 600;
+const GHOST_OPACITY = 0.35;
+
+// Ghosted cars get their own see-through copies of the model's materials
+function setGhosted(model, ghosted) {
+    model.traverse(child => {
+        if (!child.isMesh) return;
+        if (!child.userData.ghostMaterials) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            child.userData.ghostMaterials = materials.map(material => {
+                const copy = material.clone();
+                copy.userData.baseOpacity = material.opacity;
+                copy.userData.baseTransparent = material.transparent;
+                return copy;
+            });
+            child.material = Array.isArray(child.material) ? child.userData.ghostMaterials : child.userData.ghostMaterials[0];
+        }
+        child.userData.ghostMaterials.forEach(material => {
+            material.transparent = ghosted || material.userData.baseTransparent;
+            material.opacity = ghosted ? GHOST_OPACITY : material.userData.baseOpacity;
+            material.depthWrite = !ghosted;
+        });
+    });
+}
 
 export class NetworkManager extends EventTarget {
     constructor() {
@@ -12,36 +37,127 @@ export class NetworkManager extends EventTarget {
         this.ws = null;
         this.clientId = null;
         this.isConnected = false;
-        this.latestServerState = {};
         this.singlePlayerMode = false;
+
+        // Offset from performance.now() to the server clock, learned from serverTick
+        this.serverTimeOffset = null;
+        this.sampledState = { x: 0, y: 0, z: 0, rotY: 0, pitch: 0, roll: 0, speed: 0 };
+        this.targetEuler = new THREE.Euler(0, 0, 0, 'YXZ'); // Heading, then pitch and roll
+
+        // Client-side prediction: every physics step's controls, keyed by sequence number
+        this.inputSequence = 0;
+        this.pendingInputs = []; // Sent or not, but not yet acknowledged by the server
+        this.unsentInputs = [];
+        this.serverCorrection = null;
+
+        // Session resume after a dropped connection
+        this.sessionToken = null;
+        this.isResuming = false;
+        this.intentionalClose = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pendingWelcome = null;
+        this.playerNames = new Map();
+        this.remoteGhosting = false; // Room setting, applied at race start
     }
 
     connect() {
         return new Promise((resolve) => {
-            this.ws = new WebSocket(CONFIG.SERVER_URL);
+            this.intentionalClose = false;
+            this.reconnectAttempts = 0;
+            this.openSocket(resolve);
+        });
+    }
 
-            this.ws.onopen = () => {
-                this.isConnected = true;
-                this.singlePlayerMode = false;
-                //console.log('WebSocket connected.');
-                resolve(true);
-            };
+    // `onFirstResult` is only given for the initial connection, which falls back to
+    // single-player on failure; reconnect attempts retry with backoff instead
+    openSocket(onFirstResult = null) {
+        const ws = new WebSocket(CONFIG.SERVER_URL);
+        this.ws = ws;
 
-            this.ws.onmessage = this._handleMessage.bind(this);
-            this.ws.onclose = () => {
-                this.isConnected = false;
-                //('WebSocket disconnected.');
-                this.cleanupRemotePlayers();
-            };
+        ws.onopen = () => {
+            this.isConnected = true;
+            this.singlePlayerMode = false;
+            //console.log('WebSocket connected.');
+            if (onFirstResult) {
+                onFirstResult(true);
+                onFirstResult = null;
+            }
+        };
+
+        ws.onmessage = this._handleMessage.bind(this);
+        ws.onclose = () => {
+            if (this.ws !== ws) return;
+            this.isConnected = false;
+            //('WebSocket disconnected.');
 
-            this.ws.onerror = (error) => {
-                console.error('WebSocket error:', error);
+            // Keep remote cars in place while we try to get our seat back
+            if (!this.intentionalClose && this.sessionToken && !onFirstResult) {
+                this.scheduleReconnect();
+                return;
+            }
+            this.cleanupRemotePlayers();
+        };
+
+        ws.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            if (onFirstResult) {
                 this.isConnected = false;
                 this.singlePlayerMode = true;
                 console.log('Falling back to single-player mode.');
-                resolve(false);
-            };
-        });
+                onFirstResult(false);
+            }
+        };
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= CONFIG.RECONNECT_MAX_ATTEMPTS) {
+            console.warn('Giving up on reconnecting to the server.');
+            this.endSession();
+            return;
+        }
+
+        if (this.reconnectAttempts === 0) {
+            this.dispatchEvent(new CustomEvent('connectionLost'));
+        }
+
+        const backoff = CONFIG.RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts;
+        const delay = Math.min(backoff, CONFIG.RECONNECT_MAX_DELAY_MS) * (0.75 + Math.random() * 0.5);
+        this.reconnectAttempts++;
+        this.isResuming = true;
+        console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket();
+        }, delay);
+    }
+
+    // The server no longer holds our seat: adopt the fresh identity and drop race state
+    endSession() {
+        this.isResuming = false;
+        this.sessionToken = this.pendingWelcome?.sessionToken ?? null;
+        this.clientId = this.pendingWelcome?.clientId ?? null;
+        this.pendingWelcome = null;
+        this.pendingInputs = [];
+        this.unsentInputs = [];
+        this.serverCorrection = null;
+        this.cleanupRemotePlayers();
+        this.dispatchEvent(new CustomEvent('sessionLost'));
+    }
+
+    disconnect() {
+        this.intentionalClose = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.isConnected) {
+            this.send({ type: 'leaveRoom' });
+        }
+        this.ws?.close();
+        this.isConnected = false;
+        this.sessionToken = null;
+        this.cleanupRemotePlayers();
     }
 
     _handleMessage(event) {
@@ -50,7 +166,37 @@ export class NetworkManager extends EventTarget {
 
         switch (data.type) {
             case 'welcome':
+                if (this.isResuming && this.sessionToken) {
+                    // Hold on to the new identity in case the old seat is gone
+                    this.pendingWelcome = data;
+                    this.send({ type: 'resume', sessionToken: this.sessionToken });
+                    break;
+                }
                 this.clientId = data.clientId;
+                this.sessionToken = data.sessionToken;
+                break;
+            case 'resumed':
+                this.isResuming = false;
+                this.reconnectAttempts = 0;
+                this.pendingWelcome = null;
+                // The server dropped whatever it had not simulated yet; the next tick
+                // puts our car back where it stopped
+                this.pendingInputs = [];
+                this.unsentInputs = [];
+                this.serverCorrection = null;
+                this.clientId = data.clientId;
+                if (data.players) {
+                    this.updatePlayerMeshes(data.players);
+                }
+                this.dispatchEvent(new CustomEvent('sessionResumed', { detail: data }));
+                break;
+            case 'resumeFailed':
+                this.endSession();
+                break;
+            case 'playerDisconnected':
+            case 'playerReconnected':
+                this.setRemoteAway(data.playerId, data.type === 'playerDisconnected');
+                this.dispatchEvent(new CustomEvent(data.type, { detail: { ...data, name: this.playerNames.get(data.playerId) } }));
                 break;
             case 'joined':
             case 'playerJoined':
@@ -59,15 +205,44 @@ export class NetworkManager extends EventTarget {
                 this.updatePlayerMeshes(data.players);
                 this.dispatchEvent(new CustomEvent(data.type === 'joined' ? 'roomJoined' : 'playerListUpdated', { detail: data }));
                 break;
+            case 'roomList':
+                this.dispatchEvent(new CustomEvent('roomListUpdated', { detail: data.rooms || [] }));
+                break;
+            case 'error':
+                this.dispatchEvent(new CustomEvent('serverError', { detail: data }));
+                break;
             case 'gameStarted':
                 console.log('Game started event received'); // ✅ DEBUG
-                this.dispatchEvent(new CustomEvent('gameStarted'));
+                if (data.serverTime) this.updateServerTimeOffset(data.serverTime);
+                this.dispatchEvent(new CustomEvent('gameStarted', { detail: data }));
+                break;
+            case 'lightsOut':
+            case 'jumpStart':
+                this.dispatchEvent(new CustomEvent(data.type, { detail: { ...data, name: this.playerNames.get(data.playerId) } }));
+                break;
+            case 'lapCompleted':
+            case 'raceResults':
+                this.dispatchEvent(new CustomEvent(data.type, { detail: data }));
+                break;
+            case 'playerFinished':
+                this.dispatchEvent(new CustomEvent(data.type, { detail: { ...data, name: this.playerNames.get(data.playerId) } }));
+                break;
+            case 'roomSettings':
+                this.dispatchEvent(new CustomEvent('roomSettingsUpdated', { detail: data.settings }));
+                break;
+            case 'standings':
+                gameState.standings = data.standings || [];
+                this.dispatchEvent(new CustomEvent('standingsUpdated', { detail: gameState.standings }));
                 break;
             case 'serverTick':
-                console.log(`Server tick received, players in state:`, Object.keys(data.players || {})); // ✅ DEBUG
                 if (data.players) {
+                    const self = data.players[this.clientId];
+                    if (self) {
+                        // Authoritative state for our own car, applied by the game loop
+                        this.serverCorrection = { state: self, ack: self.ack };
+                    }
                     delete data.players[this.clientId]; // Remove self
-                    this.latestServerState = data.players;
+                    this.storeSnapshots(data.serverTime, data.players);
                 }
                 break;
         }
@@ -93,6 +268,7 @@ export class NetworkManager extends EventTarget {
                     roomId: 'SINGLE',
                     players: [{ id: this.clientId, name: data.playerName }],
                     track: data.track,
+                    trackDefinition: data.trackDefinition,
                     hostId: this.clientId
                 };
                 this.dispatchEvent(new CustomEvent('roomJoined', { detail: roomDetails }));
@@ -100,42 +276,122 @@ export class NetworkManager extends EventTarget {
             case 'startGame':
                 this.dispatchEvent(new CustomEvent('gameStarted'));
                 break;
+            case 'listRooms':
+                this.dispatchEvent(new CustomEvent('roomListUpdated', { detail: [] }));
+                break;
         }
     }
 
-    createRoom(playerName, track) {
-        this.send({ type: 'createRoom', playerName, track });
+    createRoom(playerName, track, isPrivate = false, trackDefinition = null) {
+        this.send({ type: 'createRoom', playerName, track, isPrivate, trackDefinition });
+    }
+
+    reportTrackReady(trackHash) {
+        this.send({ type: 'trackReady', trackHash });
+    }
+
+    listRooms() {
+        this.send({ type: 'listRooms' });
+    }
+
+    joinRoom(roomId, playerName, password = '') {
+        this.send({ type: 'joinRoom', roomId, playerName, password });
+    }
+
+    // Host only; the server ignores it from anyone else
+    updateRoomSettings(settings) {
+        this.send({ type: 'updateRoomSettings', settings });
+    }
+
+    // Compound fitted at the start of the race; the server ignores it once racing
+    selectTyres(compound) {
+        this.send({ type: 'selectTyres', compound });
     }
 
-    joinRoom(roomId, playerName) {
-        this.send({ type: 'joinRoom', roomId, playerName });
+    setRemoteGhosting(ghosted) {
+        this.remoteGhosting = ghosted;
+        gameState.remotePlayers.forEach(({ mesh, away }) => {
+            if (mesh) setGhosted(mesh, ghosted || away);
+        });
+    }
+
+    // A dropped driver's car is a ghost on the server until they resume, so it is
+    // shown see-through and left out of the physics here too
+    setRemoteAway(id, away) {
+        const remote = gameState.remotePlayers.get(id);
+        if (!remote) return;
+        remote.away = away;
+        if (remote.mesh) setGhosted(remote.mesh, away || this.remoteGhosting);
+    }
+
+    leaveRoom() {
+        this.send({ type: 'leaveRoom' });
+        this.cleanupRemotePlayers();
     }
 
     startGame() {
         this.send({ type: 'startGame' });
     }
 
-    sendInput(carState) {
-        if (!carState) {
-            console.warn('No carState provided to sendInput');
-            return;
+    // Stores the controls used for one local physics step and returns its sequence number
+    // serverTime is when the step was predicted; the replay puts the other cars there again
+    recordInput(controls, serverTime) {
+        const input = { seq: ++this.inputSequence, controls, serverTime };
+        this.pendingInputs.push(input);
+        this.unsentInputs.push(input);
+
+        // Nothing acknowledged for ~10 seconds: the server is not simulating us anyway
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.splice(0, this.pendingInputs.length - MAX_PENDING_INPUTS);
         }
+        return input.seq;
+    }
 
-        this.send({
-            type: 'input',
-            state: {
-                position: {
-                    x: carState.position.x,
-                    z: carState.position.z
-                },
-                rotationAngle: carState.rotationAngle
-            }
-        });
+    // The server simulates the car itself; only driver controls are sent, batched per tick
+    sendInputs() {
+        if (this.unsentInputs.length === 0) return;
+        this.send({ type: 'input', inputs: this.unsentInputs });
+        this.unsentInputs = [];
+    }
+
+    // Returns the latest authoritative state for our car (once) and forgets acknowledged inputs
+    takeServerCorrection() {
+        const correction = this.serverCorrection;
+        if (!correction) return null;
+
+        this.serverCorrection = null;
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > correction.ack);
+        return correction;
+    }
+
+    // Tracks the server clock from tick timestamps. A sample only runs ahead of the
+    // estimate when it arrived faster than usual, so those are taken immediately;
+    // slower ones only nudge it, which still follows clock drift.
+    updateServerTimeOffset(serverTime) {
+        const sample = serverTime - performance.now();
+        if (this.serverTimeOffset === null || sample > this.serverTimeOffset) {
+            this.serverTimeOffset = sample;
+        } else {
+            this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.02;
+        }
+    }
+
+    getServerTime() {
+        return performance.now() + (this.serverTimeOffset ?? 0);
+    }
+
+    storeSnapshots(serverTime, players) {
+        if (typeof serverTime !== 'number') return;
+        this.updateServerTimeOffset(serverTime);
+
+        for (const id in players) {
+            gameState.remotePlayers.get(id)?.snapshots.push(serverTime, players[id]);
+        }
     }
 
-    // js/NetworkManager.js - UPDATED updatePlayerMeshes function
     updatePlayerMeshes(players) {
         const serverPlayerIds = new Set(players.map(p => p.id));
+        this.playerNames = new Map(players.map(p => [p.id, p.name]));
 
         console.log('Updating player meshes. Server players:', players.map(p => p.id));
         console.log('Current remote players:', Array.from(gameState.remotePlayers.keys()));
@@ -154,6 +410,7 @@ export class NetworkManager extends EventTarget {
                 console.log(`Adding remote player: ${player.id}`);
                 this.addRemotePlayer(player.id);
             }
+            this.setRemoteAway(player.id, player.connected === false);
         }
 
         console.log(`Final remote players:`, Array.from(gameState.remotePlayers.keys()));
@@ -161,19 +418,41 @@ export class NetworkManager extends EventTarget {
 
     addRemotePlayer(id) {
         if (gameState.remotePlayers.has(id)) return;
-        const mesh = createF1Car(CONFIG.REMOTE_COLOR);
-        mesh.name = `remoteCar_${id}`; // ✅ Give it a name for debugging
-        scene.add(mesh);
-        gameState.remotePlayers.set(id, { mesh });
-        console.log(`SUCCESS: Added 3D model for remote player ${id}`);
+
+        // The car state exists right away; the model is attached once it has loaded
+        const remote = {
+            mesh: null,
+            snapshots: new SnapshotBuffer(),
+            position: new THREE.Vector3(),
+            rotationY: 0,
+            speed: 0,
+            away: false, // Driver dropped and may resume, see setRemoteAway
+            // Where the physics sees the car, see sampleRemoteCars
+            car: { position: new THREE.Vector3(), rotationAngle: 0, velocityAngle: 0, speed: 0 }
+        };
+        gameState.remotePlayers.set(id, remote);
+
+        const color = `#${CONFIG.REMOTE_COLOR.toString(16).padStart(6, '0')}`;
+        createF1Car({ body: { color } }).then(({ model }) => {
+            if (gameState.remotePlayers.get(id) !== remote) return; // Left while loading
+            model.name = `remoteCar_${id}`; // ✅ Give it a name for debugging
+            model.position.copy(remote.position);
+            model.rotation.y = remote.rotationY;
+            if (this.remoteGhosting || remote.away) setGhosted(model, true);
+            scene.add(model);
+            remote.mesh = model;
+            console.log(`SUCCESS: Added 3D model for remote player ${id}`);
+        }).catch(error => console.error(`Failed to load car for remote player ${id}:`, error));
     }
 
     removeRemotePlayer(id) {
         const player = gameState.remotePlayers.get(id);
         if (player) {
-            scene.remove(player.mesh);
-            if (player.mesh.geometry) player.mesh.geometry.dispose();
-            if (player.mesh.material) player.mesh.material.dispose();
+            if (player.mesh) {
+                scene.remove(player.mesh);
+                if (player.mesh.geometry) player.mesh.geometry.dispose();
+                if (player.mesh.material) player.mesh.material.dispose();
+            }
             gameState.remotePlayers.delete(id);
             console.log(`Removed remote player: ${id}`);
         }
@@ -185,17 +464,46 @@ export class NetworkManager extends EventTarget {
         }
     }
 
+    /**
+     * Remote cars as they are at `serverTime`, in the shape the physics takes. Our own
+     * car is predicted at the present, so the other cars are extrapolated from their
+     * latest snapshots rather than taken from the delayed render position.
+     */
+    sampleRemoteCars(serverTime) {
+        const sampled = this.sampledState;
+        const cars = [];
+        for (const player of gameState.remotePlayers.values()) {
+            if (player.away || !player.snapshots.sample(serverTime, sampled)) continue;
+            const { car } = player;
+            car.position.set(sampled.x, sampled.y, sampled.z);
+            car.rotationAngle = sampled.rotY;
+            car.velocityAngle = sampled.rotY;
+            car.speed = sampled.speed;
+            cars.push(car);
+        }
+        return cars;
+    }
+
+    // Render every remote car INTERPOLATION_DELAY_MS in the past, blended between
+    // the two server snapshots around that moment
     updateRemotePlayers() {
-        for (const id in this.latestServerState) {
-            const state = this.latestServerState[id];
-            const player = gameState.remotePlayers.get(id);
-            if (player && state.x !== undefined && state.z !== undefined && state.rotY !== undefined) {
-                player.mesh.position.lerp(new THREE.Vector3(state.x, 0, state.z), 0.25);
-                const targetQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, state.rotY, 0));
-                player.mesh.quaternion.slerp(targetQuaternion, 0.25);
-
-                console.log(`Updating remote player ${id} position:`, state.x, state.z); // ✅ DEBUG
+        if (this.serverTimeOffset === null) return;
+
+        const renderTime = this.getServerTime() - CONFIG.INTERPOLATION_DELAY_MS;
+        const sampled = this.sampledState;
+
+        for (const player of gameState.remotePlayers.values()) {
+            if (!player.snapshots.sample(renderTime, sampled)) continue;
+
+            player.position.set(sampled.x, sampled.y, sampled.z);
+            player.rotationY = sampled.rotY;
+            player.speed = sampled.speed;
+
+            if (player.mesh) {
+                player.mesh.position.copy(player.position);
+                this.targetEuler.set(-sampled.pitch, sampled.rotY, sampled.roll);
+                player.mesh.quaternion.setFromEuler(this.targetEuler);
             }
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,87 @@
+// js/SnapshotBuffer.js
+import { CONFIG } from './Config.js';
+
+// Keep about one second of history at the server tick rate
+const MAX_SNAPSHOTS = CONFIG.INPUT_SEND_RATE_HZ + 2;
+
+function lerpAngle(from, to, alpha) {
+    let difference = to - from;
+    while (difference > Math.PI) difference -= 2 * Math.PI;
+    while (difference < -Math.PI) difference += 2 * Math.PI;
+    return from + difference * alpha;
+}
+
+/**
+ * Timestamped server states for one remote car. Rendering samples it slightly in
+ * the past so there is (almost) always a pair of real snapshots to blend between.
+ */
+export class SnapshotBuffer {
+    constructor() {
+        this.snapshots = [];
+    }
+
+    push(serverTime, state) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && serverTime <= last.time) return; // Out of order or duplicate
+
+        this.snapshots.push({
+            time: serverTime, x: state.x, y: state.y, z: state.z,
+            rotY: state.rotY, pitch: state.pitch, roll: state.roll, speed: state.speed
+        });
+        if (this.snapshots.length > MAX_SNAPSHOTS) {
+            this.snapshots.shift();
+        }
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+
+    /**
+     * Writes the interpolated state at renderTime into `out` ({ x, y, z, rotY, pitch, roll, speed }).
+     * Past the newest snapshot the car keeps moving along its last velocity for at
+     * most CONFIG.MAX_EXTRAPOLATION_MS, then holds. Returns false if empty.
+     */
+    sample(renderTime, out) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return false;
+
+        const first = snapshots[0];
+        if (snapshots.length === 1 || renderTime <= first.time) {
+            Object.assign(out, first);
+            return true;
+        }
+
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            const older = snapshots[i - 1];
+            const newer = snapshots[i];
+            if (renderTime >= older.time && renderTime <= newer.time) {
+                const alpha = (renderTime - older.time) / (newer.time - older.time);
+                out.x = older.x + (newer.x - older.x) * alpha;
+                out.y = older.y + (newer.y - older.y) * alpha;
+                out.z = older.z + (newer.z - older.z) * alpha;
+                out.rotY = lerpAngle(older.rotY, newer.rotY, alpha);
+                out.pitch = older.pitch + (newer.pitch - older.pitch) * alpha;
+                out.roll = older.roll + (newer.roll - older.roll) * alpha;
+                out.speed = older.speed + (newer.speed - older.speed) * alpha;
+                return true;
+            }
+        }
+
+        // Packets are late: extrapolate from the last two snapshots, within limits
+        const previous = snapshots[snapshots.length - 2];
+        const latest = snapshots[snapshots.length - 1];
+        const span = latest.time - previous.time;
+        const ahead = Math.min(renderTime - latest.time, CONFIG.MAX_EXTRAPOLATION_MS);
+        const alpha = 1 + ahead / span;
+
+        out.x = previous.x + (latest.x - previous.x) * alpha;
+        out.y = previous.y + (latest.y - previous.y) * alpha;
+        out.z = previous.z + (latest.z - previous.z) * alpha;
+        out.rotY = lerpAngle(previous.rotY, latest.rotY, alpha);
+        out.pitch = latest.pitch;
+        out.roll = latest.roll;
+        out.speed = latest.speed;
+        return true;
+    }
+}
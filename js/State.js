@@ -14,7 +14,14 @@ export const gameState = {
     lapStartTime: 0,
     lapTimes: [],
     bestLapTime: Infinity,
-    previousT: 0, // For lap detection
+    previousT: 0, // For lap detection, relative to the start/finish line
+    crossedStartLine: true, // False while still behind the line on the grid
+    serverTimed: false, // Multiplayer races: laps and results come from the server
+    tyreCompound: CONFIG.DEFAULT_TYRE_COMPOUND, // Fitted at the start and at every pit stop
+    fuelMix: CONFIG.DEFAULT_FUEL_MIX, // Sent with every input, see getControls
+    autoShift: true, // Automatic gearbox; off means shifting on the paddles
+    lapStartFuel: 0, // Fuel on board when the current lap began
+    fuelPerLap: null, // Used on the last full lap, once there has been one
 
     // Input
     keys: {},
@@ -22,4 +29,6 @@ export const gameState = {
     // Network
     networkManager: null,
     remotePlayers: new Map(),
+    standings: [], // Running order from the server, leader first
+    roomSettings: null, // Host's settings for the current multiplayer race
 };
\ No newline at end of file
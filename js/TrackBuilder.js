@@ -1,4 +1,6 @@
 import * as THREE from "three";
+import { getTrackFrame, getTrackHalfWidth, getPitLaneOffset } from "./Utils.js";
+import { CONFIG } from "./Config.js";
 
 // --- REUSABLE GEOMETRIES AND MATERIALS (CREATE ONCE) ---
 let roadGeometry = null;
@@ -13,16 +15,23 @@ let lineGeometryCache = new Map();
 let baseGeometry = null;
 
 // Track constants
-const divisions = 2000;
-export const roadWidth = 23.5;
+export const divisions = 2000;
+export const roadWidth = 23.5; // Default; track points can set their own width
 export const roadHalfWidth = roadWidth / 2;
-const KERB_WIDTH = 1.5;
+const KERB_WIDTH = CONFIG.KERB_WIDTH;
 const KERB_HEIGHT = 0.1;
 const KERB_SEGMENT_LENGTH = 4;
+const GRID_FIRST_SLOT_OFFSET = 6; // Pole position's distance behind the start line
+const GRID_SLOT_SPACING = 8;      // Each following slot is this much further back
+const PIT_LANE_SAMPLE_SPACING = 5; // Metres between pit lane spline points
+const PIT_LANE_MAX_SAMPLES = 2000;
 
 // --- TRACK DATA STATE ---
 export const trackData = {
     curve: null,
+    definition: null,
+    features: null, // Kerbs, DRS zones, pit lane, start/finish and corners, resolved by getTrackFeatures
+    pitLaneCurve: null, // Centreline of the pit lane branch, if the track has one
     divisions: divisions,
     sceneMeshes: []
 };
@@ -56,7 +65,12 @@ const DEFAULT_TRACK_POINTS = [
 ];
 
 // --- F1 TRACK FEATURE ZONES FOR MEXICO ---
-const TRACK_FEATURES = {
+// Metadata of the default layout. Other tracks carry their own (see
+// normalizeTrackDefinition) or get kerbs generated from their detected corners.
+const DEFAULT_TRACK_FEATURES = {
+    // On the main straight, clear of the tight kink where the point list closes at t = 0,
+    // with room behind it for a full grid
+    startFinishT: 0.07,
     kerbZones: [
         // Turn 1-2 Complex (The Esses)
         { startT: 0.08, endT: 0.15, type: 'red-white', sides: ['left', 'right'] },
@@ -91,12 +105,32 @@ const TRACK_FEATURES = {
         { startT: 0.90, endT: 0.96, type: 'red-white', sides: ['left'] }
     ],
 
+    // detectionT: where the one-second gap to the car ahead is measured for the zone
     drsZones: [
-        { startT: 0.02, endT: 0.06, side: 'left' },  // Main straight
-        { startT: 0.38, endT: 0.42, side: 'left' }   // Back straight before Peraltada
-    ]
+        { detectionT: 0.97, startT: 0.02, endT: 0.06, side: 'left' },  // Main straight
+        { detectionT: 0.35, startT: 0.38, endT: 0.42, side: 'left' }   // Back straight before Peraltada
+    ],
+
+    // Along the outside of the main straight, across the line
+    pitLane: { entryT: 0.015, exitT: 0.14, side: 'left' }
 };
 
+const KERB_TYPES = ['red-white', 'yellow'];
+const RUNOFF_SURFACES = ['gravel', 'grass']; // Run-off outside any zone is grass
+const TRACK_SIDES = ['left', 'right'];
+const MAX_TRACK_ZONES = 100;
+
+// --- CORNER DETECTION ---
+const CORNER_SAMPLE_SPACING = 10;  // Metres between curvature samples; small spline loops vanish below this
+const CORNER_MIN_SAMPLES = 100;
+const CORNER_MAX_SAMPLES = 5000;
+const CORNER_WINDOW = 3;           // Samples either side summed into the heading change at a point
+const CORNER_EDGE_TURN = 0.1;      // Windowed heading change (radians) above which the track is turning
+const CORNER_MIN_ANGLE = 0.35;     // Total heading change for a bend to count as a corner (~20 degrees)
+const APEX_KERB_HALF_LENGTH = 20;  // Inside kerb length either side of the apex
+const EXIT_KERB_EXTENSION = 15;    // Outside kerb runs this far past the corner exit
+const GRAVEL_TRAP_LEAD = 20;       // Outside gravel starts this far before the apex
+
 // --- INITIALIZE MATERIALS (ONCE) ---
 function initializeMaterials() {
     if (!roadMaterial) {
@@ -196,11 +230,13 @@ export function disposeAllTrackResources() {
     baseGeometry = null;
 }
 
-// --- SMOOTHING FUNCTION (UNCHANGED) ---
-function smoothTrackCorners(points, smoothness = 0.3, maxAngle = 60) {
-    if (points.length < 3) return points;
+// --- SMOOTHING FUNCTION ---
+// Each point's profile (see buildTrackCurve) is interpolated the same way as its position
+function smoothTrackCorners(points, profiles, smoothness = 0.3, maxAngle = 60) {
+    if (points.length < 3) return { points, profiles };
 
     const smoothedPoints = [points[0].clone()];
+    const smoothedProfiles = [profiles[0].clone()];
     const maxAngleRad = THREE.MathUtils.degToRad(maxAngle);
 
     for (let i = 1; i < points.length - 1; i++) {
@@ -221,9 +257,13 @@ function smoothTrackCorners(points, smoothness = 0.3, maxAngle = 60) {
                     .lerpVectors(prev, current, t)
                     .lerp(current, smoothness);
                 smoothedPoints.push(smoothPoint);
+                smoothedProfiles.push(new THREE.Vector3()
+                    .lerpVectors(profiles[i - 1], profiles[i], t)
+                    .lerp(profiles[i], smoothness));
             }
 
             smoothedPoints.push(current.clone());
+            smoothedProfiles.push(profiles[i].clone());
 
             for (let j = 1; j <= numIntermediatePoints; j++) {
                 const t = j / (numIntermediatePoints + 1);
@@ -231,46 +271,415 @@ function smoothTrackCorners(points, smoothness = 0.3, maxAngle = 60) {
                     .lerpVectors(current, next, t)
                     .lerp(current, smoothness);
                 smoothedPoints.push(smoothPoint);
+                smoothedProfiles.push(new THREE.Vector3()
+                    .lerpVectors(profiles[i], profiles[i + 1], t)
+                    .lerp(profiles[i], smoothness));
             }
         } else {
             smoothedPoints.push(current.clone());
+            smoothedProfiles.push(profiles[i].clone());
         }
     }
 
     smoothedPoints.push(points[points.length - 1].clone());
-    return smoothedPoints;
+    smoothedProfiles.push(profiles[profiles.length - 1].clone());
+    return { points: smoothedPoints, profiles: smoothedProfiles };
 }
 
-// --- TRACK LOADING (UNCHANGED) ---
-export function loadTrackDefinition(trackName) {
-    let points;
+// --- TRACK LOADING ---
+// Resolves the raw control points for a track name. Outside the browser (the
+// multiplayer server) there is no localStorage, so only the default layout is known.
+export function getTrackPoints(trackName) {
+    return getStoredTrack(trackName).points;
+}
 
+// Saved tracks are either a bare array of points (older editor saves) or
+// { points, kerbZones?, runoffZones?, drsZones?, pitLane?, startFinishT? }. Points are { x, z, y?, bank?, width? }.
+function getStoredTrack(trackName) {
+    const defaultTrack = { points: DEFAULT_TRACK_POINTS, ...DEFAULT_TRACK_FEATURES };
     if (trackName === 'Monza Standard' || trackName === 'Track1') {
-        points = DEFAULT_TRACK_POINTS;
-    } else {
-        try {
-            const data = localStorage.getItem(`trackData_${trackName}`);
-            if (data) {
-                const rawPoints = JSON.parse(data);
-                points = rawPoints.map(p => new THREE.Vector3(parseFloat(p.x), 0, parseFloat(p.z)));
-            } else {
-                points = DEFAULT_TRACK_POINTS;
+        return defaultTrack;
+    }
+    if (typeof localStorage === 'undefined') {
+        return defaultTrack;
+    }
+
+    try {
+        const data = localStorage.getItem(`trackData_${trackName}`);
+        if (data) {
+            const stored = JSON.parse(data);
+            const { points, ...features } = Array.isArray(stored) ? { points: stored } : stored;
+            return {
+                ...features,
+                points: points.map(p => ({
+                    x: parseFloat(p.x),
+                    y: parseFloat(p.y) || 0,
+                    z: parseFloat(p.z),
+                    bank: parseFloat(p.bank) || 0,
+                    width: parseFloat(p.width) || roadWidth
+                }))
+            };
+        }
+    } catch (e) {
+        // Fall through to the default layout
+    }
+    return defaultTrack;
+}
+
+// Builds the closed racing-line curve from control points ({x, z} objects or
+// vectors). Shared by the client renderer and the server simulation so both follow
+// the exact same spline.
+export function buildTrackCurve(points) {
+    if (points.length < 3) points = DEFAULT_TRACK_POINTS;
+
+    // Points carry an optional height (y), bank angle in degrees and road width.
+    // Bank and half width ride along as a profile vector (bank, halfWidth, 0).
+    const vectors = points.map(p => new THREE.Vector3(p.x, p.y ?? 0, p.z));
+    const profiles = points.map(p => new THREE.Vector3(
+        THREE.MathUtils.degToRad(p.bank ?? 0), (p.width ?? roadWidth) / 2, 0
+    ));
+    const smoothed = smoothTrackCorners(vectors, profiles, 0.3, 60);
+
+    const curve = new THREE.CatmullRomCurve3(smoothed.points, true, "catmullrom", 0.1);
+    // Same spline through the profiles, sampled by getTrackBank/getTrackHalfWidth (Utils.js).
+    // Flat, constant-width tracks skip it.
+    if (smoothed.profiles.some(profile => profile.x !== 0 || profile.y !== roadHalfWidth)) {
+        curve.profileCurve = new THREE.CatmullRomCurve3(smoothed.profiles, true, "catmullrom", 0.1);
+    }
+    return curve;
+}
+
+// --- TRACK DEFINITIONS (what travels with a multiplayer room) ---
+const MAX_TRACK_POINTS = 1000;
+const MAX_TRACK_COORDINATE = 10000; // x and z limit either way, in metres
+const MAX_TRACK_LENGTH = 50000;     // Longest lap accepted, in metres, measured point to point
+const MAX_TRACK_HEIGHT = 200;     // Elevation limit either way, in metres
+const MAX_BANK_DEGREES = 45;
+const MIN_ROAD_WIDTH = 10;
+const MAX_ROAD_WIDTH = 40;
+
+// Track parameters in [0, 1), rounded so they hash the same everywhere
+function normalizeTrackT(value) {
+    const t = Number(value);
+    if (value === null || value === undefined || !Number.isFinite(t) || t < 0 || t > 1) return null;
+    return Math.round((t % 1) * 10000) / 10000;
+}
+
+// Plain-JSON description of a track: everything needed to rebuild the identical
+// curve on another machine. Coordinates are rounded to the editor's precision.
+export function normalizeTrackDefinition(raw) {
+    if (!raw || !Array.isArray(raw.points)) return null;
+    if (raw.points.length < 3 || raw.points.length > MAX_TRACK_POINTS) return null;
+
+    const points = [];
+    for (const p of raw.points) {
+        const x = Number(p?.x);
+        const z = Number(p?.z);
+        if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+        const point = {
+            x: Math.round(THREE.MathUtils.clamp(x, -MAX_TRACK_COORDINATE, MAX_TRACK_COORDINATE) * 10) / 10,
+            z: Math.round(THREE.MathUtils.clamp(z, -MAX_TRACK_COORDINATE, MAX_TRACK_COORDINATE) * 10) / 10
+        };
+
+        // Height, bank and width are optional and left out when flat or at the default
+        // width, so such tracks hash as before
+        const y = THREE.MathUtils.clamp(Number(p.y) || 0, -MAX_TRACK_HEIGHT, MAX_TRACK_HEIGHT);
+        const bank = THREE.MathUtils.clamp(Number(p.bank) || 0, -MAX_BANK_DEGREES, MAX_BANK_DEGREES);
+        const width = THREE.MathUtils.clamp(Number(p.width) || roadWidth, MIN_ROAD_WIDTH, MAX_ROAD_WIDTH);
+        if (Math.round(y * 10) !== 0) point.y = Math.round(y * 10) / 10;
+        if (Math.round(bank * 10) !== 0) point.bank = Math.round(bank * 10) / 10;
+        if (Math.round(width * 10) !== roadWidth * 10) point.width = Math.round(width * 10) / 10;
+        points.push(point);
+    }
+
+    // Every sampled feature scales with the lap, so an enormous one is refused outright
+    const lapLength = points.reduce((sum, point, index) => {
+        const next = points[(index + 1) % points.length];
+        return sum + Math.hypot(next.x - point.x, next.z - point.z);
+    }, 0);
+    if (lapLength > MAX_TRACK_LENGTH) return null;
+
+    // Optional metadata; invalid entries are dropped rather than rejecting the track
+    const definition = { name: String(raw.name ?? 'Custom Track').slice(0, 40), points };
+    if (Array.isArray(raw.kerbZones)) {
+        definition.kerbZones = raw.kerbZones.slice(0, MAX_TRACK_ZONES).map(zone => {
+            const startT = normalizeTrackT(zone?.startT);
+            const endT = normalizeTrackT(zone?.endT);
+            const sides = Array.isArray(zone?.sides) ? TRACK_SIDES.filter(side => zone.sides.includes(side)) : [];
+            if (startT === null || endT === null || startT >= endT || sides.length === 0) return null;
+            return { startT, endT, type: KERB_TYPES.includes(zone.type) ? zone.type : KERB_TYPES[0], sides };
+        }).filter(Boolean);
+    }
+    if (Array.isArray(raw.runoffZones)) {
+        definition.runoffZones = raw.runoffZones.slice(0, MAX_TRACK_ZONES).map(zone => {
+            const startT = normalizeTrackT(zone?.startT);
+            const endT = normalizeTrackT(zone?.endT);
+            const sides = Array.isArray(zone?.sides) ? TRACK_SIDES.filter(side => zone.sides.includes(side)) : [];
+            if (startT === null || endT === null || startT >= endT || sides.length === 0) return null;
+            if (!RUNOFF_SURFACES.includes(zone.surface)) return null;
+            return { startT, endT, surface: zone.surface, sides };
+        }).filter(Boolean);
+    }
+    if (Array.isArray(raw.drsZones)) {
+        // A zone may run across the start/finish line, so startT can be past endT
+        definition.drsZones = raw.drsZones.slice(0, MAX_TRACK_ZONES).map(zone => {
+            const detectionT = normalizeTrackT(zone?.detectionT);
+            const startT = normalizeTrackT(zone?.startT);
+            const endT = normalizeTrackT(zone?.endT);
+            if (detectionT === null || startT === null || endT === null || startT === endT) return null;
+            return { detectionT, startT, endT, side: TRACK_SIDES.includes(zone.side) ? zone.side : 'left' };
+        }).filter(Boolean);
+    }
+    if (raw.pitLane) {
+        // May run across the start/finish line, so entryT can be past exitT
+        const entryT = normalizeTrackT(raw.pitLane.entryT);
+        const exitT = normalizeTrackT(raw.pitLane.exitT);
+        if (entryT !== null && exitT !== null && entryT !== exitT) {
+            definition.pitLane = { entryT, exitT, side: TRACK_SIDES.includes(raw.pitLane.side) ? raw.pitLane.side : 'right' };
+        }
+    }
+    const startFinishT = normalizeTrackT(raw.startFinishT);
+    if (startFinishT !== null) definition.startFinishT = startFinishT;
+
+    return definition;
+}
+
+export function getTrackDefinition(trackName) {
+    return normalizeTrackDefinition({ name: trackName, ...getStoredTrack(trackName) });
+}
+
+// Kerbs, run-off, DRS zones, the pit lane, the start/finish line and the corner list
+// for a definition on its built curve. Tracks without kerb or run-off data get them
+// generated from their corners.
+export function getTrackFeatures(definition, curve) {
+    const startFinishT = definition.startFinishT ?? 0;
+    const corners = detectCorners(curve, startFinishT);
+    return {
+        startFinishT,
+        kerbZones: definition.kerbZones ?? getCornerKerbZones(corners, curve.getLength()),
+        runoffZones: definition.runoffZones ?? getCornerRunoffZones(corners, curve.getLength()),
+        drsZones: definition.drsZones ?? [],
+        pitLane: definition.pitLane ? resolvePitLane(definition.pitLane, curve.getLength()) : null,
+        corners
+    };
+}
+
+/**
+ * Adds the lane's length in metres and the track parameter at the centre of each pit
+ * box: { entryT, exitT, side, length, boxes }. Boxes line the part of the lane between
+ * the entry and exit roads. Returns null if the lane is too short to hold them all.
+ */
+function resolvePitLane(pitLane, trackLength) {
+    const length = getLapT(pitLane.exitT, pitLane.entryT) * trackLength;
+    const boxesLength = length - 2 * CONFIG.PIT_TRANSITION_LENGTH;
+    const spacing = Math.min(CONFIG.PIT_BOX_SPACING, boxesLength / CONFIG.PIT_BOX_COUNT);
+    if (spacing < CONFIG.PIT_BOX_LENGTH) return null;
+
+    const firstBox = CONFIG.PIT_TRANSITION_LENGTH + (boxesLength - spacing * CONFIG.PIT_BOX_COUNT) / 2 + spacing / 2;
+    const boxes = Array.from({ length: CONFIG.PIT_BOX_COUNT }, (_, index) =>
+        (pitLane.entryT + (firstBox + index * spacing) / trackLength) % 1);
+    return { ...pitLane, length, boxes };
+}
+
+// Signed heading change at each sample, summed over a small window to smooth out
+// noise. Positive turns toward +binormal ('left'). Headings come from chords between
+// samples rather than tangents, so tiny spline loops don't read as hairpins.
+function getWindowedTurns(curve, samples) {
+    const points = curve.getSpacedPoints(samples); // Last point repeats the first
+    const headings = [];
+    for (let i = 0; i < samples; i++) {
+        headings.push(Math.atan2(points[i + 1].x - points[i].x, points[i + 1].z - points[i].z));
+    }
+
+    const turns = headings.map((heading, i) => {
+        let turn = headings[(i + 1) % samples] - heading;
+        if (turn > Math.PI) turn -= 2 * Math.PI;
+        if (turn < -Math.PI) turn += 2 * Math.PI;
+        return turn;
+    });
+
+    return turns.map((_, i) => {
+        let sum = 0;
+        for (let offset = -CORNER_WINDOW; offset <= CORNER_WINDOW; offset++) {
+            sum += turns[(i + offset + samples) % samples];
+        }
+        return sum;
+    });
+}
+
+/**
+ * Finds the corners of a closed curve from its curvature. A corner is a run of
+ * samples turning the same way; the apex is where it turns hardest. Corners are
+ * numbered from the start/finish line:
+ * [{ number, direction: 'left'|'right', entryT, apexT, exitT, angle }], angle in radians.
+ */
+function detectCorners(curve, startFinishT) {
+    const samples = THREE.MathUtils.clamp(
+        Math.round(curve.getLength() / CORNER_SAMPLE_SPACING), CORNER_MIN_SAMPLES, CORNER_MAX_SAMPLES);
+    const windowed = getWindowedTurns(curve, samples);
+    const direction = turn => (turn >= CORNER_EDGE_TURN ? 1 : turn <= -CORNER_EDGE_TURN ? -1 : 0);
+
+    // Start scanning on a straight so no corner is split across the t = 0 seam
+    const straight = windowed.findIndex(turn => direction(turn) === 0);
+    if (straight === -1) return []; // Turning everywhere (a circle): no distinct corners
+
+    const corners = [];
+    let run = null;
+    for (let step = 1; step <= samples; step++) {
+        const i = (straight + step) % samples;
+        const turnDirection = direction(windowed[i]);
+
+        if (run && turnDirection !== run.direction) {
+            // Each sample turns by windowed / (2 * CORNER_WINDOW + 1) on its own
+            const angle = Math.abs(run.total) / (2 * CORNER_WINDOW + 1);
+            if (angle >= CORNER_MIN_ANGLE) {
+                corners.push({
+                    direction: run.direction > 0 ? 'left' : 'right',
+                    entryT: run.start / samples,
+                    apexT: (run.apex + 0.5) / samples,
+                    exitT: ((run.start + run.length) % samples) / samples,
+                    angle
+                });
             }
-        } catch (e) {
-            points = DEFAULT_TRACK_POINTS;
+            run = null;
+        }
+        if (turnDirection !== 0) {
+            if (!run) run = { direction: turnDirection, start: i, length: 0, apex: i, total: 0 };
+            if (Math.abs(windowed[i]) > Math.abs(windowed[run.apex])) run.apex = i;
+            run.length++;
+            run.total += windowed[i];
         }
     }
 
-    const smoothedPoints = smoothTrackCorners(points, 0.3, 60);
+    return corners
+        .sort((a, b) => getLapT(a.apexT, startFinishT) - getLapT(b.apexT, startFinishT))
+        .map((corner, index) => ({ number: index + 1, ...corner }));
+}
 
-    if (smoothedPoints.length < 3) {
-        points = DEFAULT_TRACK_POINTS;
+// Kerb and run-off zones don't wrap, so a zone across the t = 0 seam becomes two
+function pushTrackZone(zones, startT, endT, zone) {
+    const start = (startT % 1 + 1) % 1;
+    const end = start + (endT - startT);
+    if (end > 1) {
+        zones.push({ startT: start, endT: 1, ...zone });
+        zones.push({ startT: 0, endT: end - 1, ...zone });
+    } else {
+        zones.push({ startT: start, endT: end, ...zone });
     }
+}
 
-    trackData.curve = new THREE.CatmullRomCurve3(smoothedPoints, true, "catmullrom", 0.1);
+// Inside kerb around each apex, outside kerb from the apex to just past the exit
+function getCornerKerbZones(corners, trackLength) {
+    const apexHalfLength = APEX_KERB_HALF_LENGTH / trackLength;
+    const exitExtension = EXIT_KERB_EXTENSION / trackLength;
+    const zones = [];
+    corners.forEach(corner => {
+        const outside = corner.direction === 'left' ? 'right' : 'left';
+        const exitT = corner.apexT + getLapT(corner.exitT, corner.apexT);
+        pushTrackZone(zones, corner.apexT - apexHalfLength, corner.apexT + apexHalfLength,
+            { type: 'red-white', sides: [corner.direction] });
+        pushTrackZone(zones, corner.apexT, exitT + exitExtension, { type: 'red-white', sides: [outside] });
+    });
+    return zones;
+}
+
+// Gravel trap on the outside of each corner, where cars run wide
+function getCornerRunoffZones(corners, trackLength) {
+    const lead = GRAVEL_TRAP_LEAD / trackLength;
+    const exitExtension = EXIT_KERB_EXTENSION / trackLength;
+    const zones = [];
+    corners.forEach(corner => {
+        const outside = corner.direction === 'left' ? 'right' : 'left';
+        const exitT = corner.apexT + getLapT(corner.exitT, corner.apexT);
+        pushTrackZone(zones, corner.apexT - lead, exitT + exitExtension, { surface: 'gravel', sides: [outside] });
+    });
+    return zones;
+}
+
+// Corner containing track parameter t (entry to exit), or null on a straight
+export function getCornerAt(t, corners = trackData.features?.corners ?? []) {
+    return corners.find(corner => getLapT(t, corner.entryT) <= getLapT(corner.exitT, corner.entryT)) ?? null;
+}
+
+// Track parameter relative to the start/finish line: 0 on the line, counting up a lap
+export function getLapT(t, startFinishT) {
+    return (t - startFinishT + 1) % 1;
+}
+
+// FNV-1a over the canonical JSON of the layout (the name is not part of the identity)
+export function hashTrackDefinition(definition) {
+    const { name, ...layout } = definition;
+    const text = JSON.stringify(layout);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// --- STARTING GRID ---
+// Staggered two-column grid behind the start line, alternating sides like F1.
+// Cars start just short of the line (lap t near 1), so their first crossing is not a lap.
+export function getGridSlot(curve, slotIndex, startFinishT = 0) {
+    const distanceBack = GRID_FIRST_SLOT_OFFSET + slotIndex * GRID_SLOT_SPACING;
+    let t = startFinishT + 1 - distanceBack / curve.getLength();
+    t -= Math.floor(t);
+
+    // Slots sit halfway to the edge, on the (banked) surface
+    const { point: position, tangent, binormal } = getTrackFrame(curve, t);
+    const side = slotIndex % 2 === 0 ? 1 : -1;
+    position.addScaledVector(binormal, side * getTrackHalfWidth(curve, t, roadHalfWidth) / 2);
+
+    return { position, rotationAngle: Math.atan2(tangent.x, tangent.z), t };
+}
+
+// Spline points along the pit lane; the curve and the lane mesh use the same count
+function getPitLaneSamples(pitLane) {
+    return THREE.MathUtils.clamp(Math.round(pitLane.length / PIT_LANE_SAMPLE_SPACING), 2, PIT_LANE_MAX_SAMPLES);
+}
+
+// Open spline along the middle of the pit lane, from the entry road to the exit road
+export function buildPitLaneCurve(curve, pitLane) {
+    const samples = getPitLaneSamples(pitLane);
+    const sideMultiplier = pitLane.side === 'left' ? 1 : -1;
+    const span = getLapT(pitLane.exitT, pitLane.entryT);
+    const points = [];
+    for (let i = 0; i <= samples; i++) {
+        const t = (pitLane.entryT + span * i / samples) % 1;
+        const { point, binormal } = getTrackFrame(curve, t);
+        const lateral = getTrackHalfWidth(curve, t, roadHalfWidth) + (getPitLaneOffset(pitLane, t) ?? 0);
+        points.push(point.addScaledVector(binormal, lateral * sideMultiplier));
+    }
+    return new THREE.CatmullRomCurve3(points, false, "catmullrom", 0.1);
 }
 
-// --- OPTIMIZED ROAD MESH GENERATION (UNCHANGED) ---
+export function loadTrackFromDefinition(definition) {
+    trackData.definition = definition;
+    trackData.curve = buildTrackCurve(definition.points);
+    trackData.features = getTrackFeatures(definition, trackData.curve);
+    trackData.pitLaneCurve = trackData.features.pitLane
+        ? buildPitLaneCurve(trackData.curve, trackData.features.pitLane)
+        : null;
+}
+
+export function loadTrackDefinition(trackName) {
+    loadTrackFromDefinition(getTrackDefinition(trackName));
+}
+
+// --- PLACING MESHES ON THE ROAD SURFACE ---
+const roadBasis = new THREE.Matrix4();
+
+// Puts a mesh `lateral` from the centreline (positive is left) and `lift` above the
+// sloped, banked surface, its +Z along the direction of travel
+function placeOnRoad(mesh, frame, lateral, lift) {
+    mesh.position.copy(frame.point)
+        .addScaledVector(frame.binormal, lateral)
+        .addScaledVector(frame.normal, lift);
+    mesh.quaternion.setFromRotationMatrix(roadBasis.makeBasis(frame.binormal, frame.normal, frame.tangent));
+}
+
+// --- OPTIMIZED ROAD MESH GENERATION ---
 function generateRoadMesh(scene) {
     if (!trackData.curve) return;
 
@@ -284,13 +693,12 @@ function generateRoadMesh(scene) {
 
     for (let i = 0; i <= enhancedDivisions; i++) {
         const t = i / enhancedDivisions;
-        const point = curve.getPointAt(t);
-        const tangent = curve.getTangentAt(t).normalize();
-        const normal = new THREE.Vector3(0, 1, 0);
-        const binormal = new THREE.Vector3().crossVectors(normal, tangent).normalize();
+        // Edges follow the surface frame, so the road climbs, dips and banks with it
+        const { point, binormal, normal } = getTrackFrame(curve, t);
+        const halfWidth = getTrackHalfWidth(curve, t, roadHalfWidth);
 
-        const left = point.clone().add(binormal.clone().multiplyScalar(roadHalfWidth));
-        const right = point.clone().add(binormal.clone().multiplyScalar(-roadHalfWidth));
+        const left = point.clone().add(binormal.clone().multiplyScalar(halfWidth));
+        const right = point.clone().add(binormal.clone().multiplyScalar(-halfWidth));
 
         positions.push(left.x, left.y, left.z);
         positions.push(right.x, right.y, right.z);
@@ -321,29 +729,211 @@ function generateRoadMesh(scene) {
     trackData.sceneMeshes.push(road);
 }
 
+// --- RUN-OFF AREAS ---
+const RUNOFF_COLORS = {
+    grass: new THREE.Color(0x3f8f3a),
+    gravel: new THREE.Color(0xc8b48a)
+};
+
+// One strip per side from the kerbs out to the track limit, coloured by surface
+function generateRunoff(scene) {
+    if (!trackData.curve) return;
+
+    const curve = trackData.curve;
+    const { runoffZones } = trackData.features;
+
+    [1, -1].forEach(sideMultiplier => {
+        const side = sideMultiplier === 1 ? 'left' : 'right';
+        const positions = [];
+        const colors = [];
+        const indices = [];
+
+        for (let i = 0; i <= divisions; i++) {
+            const t = i / divisions;
+            const { point, binormal } = getTrackFrame(curve, t);
+            const inner = getTrackHalfWidth(curve, t, roadHalfWidth) + KERB_WIDTH;
+            const outer = inner + CONFIG.RUNOFF_WIDTH;
+            const zone = runoffZones.find(zone => t >= zone.startT && t <= zone.endT && zone.sides.includes(side));
+            const color = RUNOFF_COLORS[zone ? zone.surface : 'grass'];
+
+            // Slightly below the road so the edges never z-fight
+            [inner, outer].forEach(offset => {
+                const vertex = point.clone().addScaledVector(binormal, offset * sideMultiplier);
+                positions.push(vertex.x, vertex.y - 0.02, vertex.z);
+                colors.push(color.r, color.g, color.b);
+            });
+
+            if (i < divisions) {
+                const base = i * 2;
+                indices.push(base, base + 1, base + 2);
+                indices.push(base + 1, base + 3, base + 2);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        const runoff = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            shininess: 5
+        }));
+        runoff.receiveShadow = true;
+        scene.add(runoff);
+        trackData.sceneMeshes.push(runoff);
+    });
+}
+
+// --- PIT LANE ---
+const PIT_BOX_LINE_WIDTH = 0.2;
+
+// The lane surface along its branch curve, with a marked box for every grid slot
+// and a line across the lane where the speed limit starts and ends
+function generatePitLane(scene) {
+    const pitLane = trackData.features.pitLane;
+    if (!trackData.curve || !pitLane) return;
+
+    initializeMaterials();
+
+    const curve = trackData.curve;
+    const pitLaneCurve = trackData.pitLaneCurve;
+    const sideMultiplier = pitLane.side === 'left' ? 1 : -1;
+    const span = getLapT(pitLane.exitT, pitLane.entryT);
+    const samples = getPitLaneSamples(pitLane);
+    const positions = [];
+    const indices = [];
+
+    // Spline points were placed at even steps of track t, so the same steps line up
+    for (let i = 0; i <= samples; i++) {
+        const centre = pitLaneCurve.getPoint(i / samples);
+        const { binormal } = getTrackFrame(curve, (pitLane.entryT + span * i / samples) % 1);
+        [1, -1].forEach(edge => {
+            // Just under the road where the two meet, above the run-off
+            const vertex = centre.clone().addScaledVector(binormal, edge * CONFIG.PIT_LANE_WIDTH / 2);
+            positions.push(vertex.x, vertex.y - 0.01, vertex.z);
+        });
+        if (i < samples) {
+            const base = i * 2;
+            indices.push(base, base + 1, base + 2);
+            indices.push(base + 1, base + 3, base + 2);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    const lane = new THREE.Mesh(geometry, roadMaterial);
+    lane.receiveShadow = true;
+    scene.add(lane);
+    trackData.sceneMeshes.push(lane);
+
+    const laneLateral = t => (getTrackHalfWidth(curve, t, roadHalfWidth) + getPitLaneOffset(pitLane, t)) * sideMultiplier;
+    const addMarking = (t, width, length, lateral) => {
+        const marking = new THREE.Mesh(new THREE.BoxGeometry(width, 0.02, length), whiteMaterial);
+        placeOnRoad(marking, getTrackFrame(curve, t), lateral, 0.01);
+        scene.add(marking);
+        trackData.sceneMeshes.push(marking);
+    };
+
+    // Boxes fill the outer half of the lane, leaving the inner half to drive through.
+    // Outlined at the front, back and far side.
+    const boxWidth = CONFIG.PIT_LANE_WIDTH / 2;
+    const halfBoxT = CONFIG.PIT_BOX_LENGTH / 2 / curve.getLength();
+    pitLane.boxes.forEach(boxT => {
+        const boxCentre = laneLateral(boxT) + sideMultiplier * boxWidth / 2;
+        [-halfBoxT, halfBoxT].forEach(offset => {
+            addMarking((boxT + offset + 1) % 1, boxWidth, PIT_BOX_LINE_WIDTH, boxCentre);
+        });
+        addMarking(boxT, PIT_BOX_LINE_WIDTH, CONFIG.PIT_BOX_LENGTH,
+            boxCentre + sideMultiplier * (boxWidth - PIT_BOX_LINE_WIDTH) / 2);
+    });
+
+    // Speed limit lines where the entry and exit roads meet the lane proper
+    const limitOffset = CONFIG.PIT_TRANSITION_LENGTH / curve.getLength();
+    [pitLane.entryT + limitOffset, pitLane.exitT - limitOffset].forEach(t => {
+        t = (t + 1) % 1;
+        addMarking(t, CONFIG.PIT_LANE_WIDTH, 0.5, laneLateral(t));
+    });
+}
+
+// --- BARRIERS ---
+const BARRIER_SEGMENT_LENGTH = 4;
+const BARRIER_MAX_SEGMENTS = 12500; // Per side; longer tracks get longer segments
+const BARRIER_THICKNESS = 0.8;
+const BARRIER_STYLES = {
+    tyres: { color: 0x1a1a1a, height: 1.0, shininess: 5 },
+    armco: { color: 0xb8bcc0, height: 0.8, shininess: 80 }
+};
+
+// A wall along the outer edge of the run-off on both sides, one instance per segment.
+// Tyre walls back the gravel traps, armco lines the rest (matching CarPhysics).
+function generateBarriers(scene) {
+    if (!trackData.curve) return;
+
+    const curve = trackData.curve;
+    const { runoffZones } = trackData.features;
+    const segmentCount = Math.min(BARRIER_MAX_SEGMENTS, Math.ceil(curve.getLength() / BARRIER_SEGMENT_LENGTH));
+    const segmentLength = Math.max(BARRIER_SEGMENT_LENGTH, curve.getLength() / segmentCount);
+    const placements = { tyres: [], armco: [] };
+
+    for (let i = 0; i < segmentCount; i++) {
+        const t = (i + 0.5) / segmentCount;
+        [1, -1].forEach(sideMultiplier => {
+            const side = sideMultiplier === 1 ? 'left' : 'right';
+            const onGravel = runoffZones.some(zone => t >= zone.startT && t <= zone.endT &&
+                zone.sides.includes(side) && zone.surface === 'gravel');
+            const lateral = getTrackHalfWidth(curve, t, roadHalfWidth) + KERB_WIDTH + CONFIG.RUNOFF_WIDTH +
+                BARRIER_THICKNESS / 2;
+            placements[onGravel ? 'tyres' : 'armco'].push({ t, lateral: lateral * sideMultiplier });
+        });
+    }
+
+    const dummy = new THREE.Object3D();
+    Object.entries(placements).forEach(([type, list]) => {
+        if (list.length === 0) return;
+        const style = BARRIER_STYLES[type];
+        const geometry = new THREE.BoxGeometry(BARRIER_THICKNESS, style.height, segmentLength);
+        const material = new THREE.MeshPhongMaterial({ color: style.color, shininess: style.shininess });
+        const barriers = new THREE.InstancedMesh(geometry, material, list.length);
+
+        list.forEach(({ t, lateral }, index) => {
+            placeOnRoad(dummy, getTrackFrame(curve, t), lateral, style.height / 2);
+            dummy.updateMatrix();
+            barriers.setMatrixAt(index, dummy.matrix);
+        });
+        barriers.instanceMatrix.needsUpdate = true;
+        barriers.castShadow = true;
+        barriers.receiveShadow = true;
+        scene.add(barriers);
+        trackData.sceneMeshes.push(barriers);
+    });
+}
+
 // --- F1-STYLE KERBS GENERATION ---
 function generateF1Kerbs(scene) {
     if (!trackData.curve) return;
 
     const curve = trackData.curve;
+    const pitLane = trackData.features.pitLane;
 
-    TRACK_FEATURES.kerbZones.forEach(zone => {
+    trackData.features.kerbZones.forEach(zone => {
         const startIndex = Math.floor(zone.startT * divisions);
         const endIndex = Math.floor(zone.endT * divisions);
 
         for (let i = startIndex; i <= endIndex; i += 2) {
             const t = i / divisions;
-            const point = curve.getPointAt(t);
-            const tangent = curve.getTangentAt(t);
-            const normal = new THREE.Vector3(0, 1, 0);
-            const binormal = new THREE.Vector3().crossVectors(normal, tangent).normalize();
+            const frame = getTrackFrame(curve, t);
+            const halfWidth = getTrackHalfWidth(curve, t, roadHalfWidth);
 
             // Generate kerbs on specified sides
             zone.sides.forEach(side => {
                 const sideMultiplier = side === 'left' ? 1 : -1;
-                const kerbPosition = point.clone().add(
-                    binormal.clone().multiplyScalar((roadHalfWidth + KERB_WIDTH / 2) * sideMultiplier)
-                );
+                // The pit lane takes the kerb's place on its side
+                if (pitLane && pitLane.side === side && getPitLaneOffset(pitLane, t) !== null) return;
 
                 // Choose material and pattern based on kerb type
                 let kerbMaterial;
@@ -365,14 +955,7 @@ function generateF1Kerbs(scene) {
                 }
 
                 const kerb = new THREE.Mesh(kerbGeometry, kerbMaterial);
-                kerb.position.copy(kerbPosition);
-                kerb.position.y = KERB_HEIGHT / 2;
-
-                // Calculate orientation
-                const nextT = Math.min((i + 2) / divisions, 1.0);
-                const nextPoint = curve.getPointAt(nextT);
-                const direction = new THREE.Vector3().subVectors(nextPoint, point);
-                kerb.lookAt(kerb.position.clone().add(direction));
+                placeOnRoad(kerb, frame, (halfWidth + KERB_WIDTH / 2) * sideMultiplier, KERB_HEIGHT / 2);
 
                 scene.add(kerb);
                 trackData.sceneMeshes.push(kerb);
@@ -396,15 +979,13 @@ function generateRoadMarkings(scene) {
         const p1 = curve.getPointAt(t);
         const p2 = curve.getPointAt(next_t);
         const tangent = curve.getTangentAt(t);
-        const normal = new THREE.Vector3(0, 1, 0);
-        const binormal = new THREE.Vector3().crossVectors(normal, tangent).normalize();
         const segmentLength = p1.distanceTo(p2);
+        const midFrame = getTrackFrame(curve, (t + next_t) / 2); // Segments sit centred on their midpoint
+        const halfWidth = getTrackHalfWidth(curve, (t + next_t) / 2, roadHalfWidth);
 
         // Edge lines (white continuous)
         [1, -1].forEach(side => {
-            const edgeOffset = roadHalfWidth * side;
-            const lineP1 = p1.clone().add(binormal.clone().multiplyScalar(edgeOffset));
-            const lineP2 = p2.clone().add(binormal.clone().multiplyScalar(edgeOffset));
+            const edgeOffset = halfWidth * side;
 
             let edgeLineGeometry = lineGeometryCache.get(segmentLength);
             if (!edgeLineGeometry) {
@@ -413,18 +994,13 @@ function generateRoadMarkings(scene) {
             }
 
             const edgeLine = new THREE.Mesh(edgeLineGeometry, whiteMaterial);
-            edgeLine.position.copy(lineP1).lerp(lineP2, 0.5);
-            edgeLine.position.y = lineHeight / 2;
-            edgeLine.lookAt(lineP2.clone().setY(edgeLine.position.y));
+            placeOnRoad(edgeLine, midFrame, edgeOffset, lineHeight / 2);
             scene.add(edgeLine);
             trackData.sceneMeshes.push(edgeLine);
         });
 
         // Center line (dashed, only on straights)
         if (i % 20 === 0) {
-            const centerP1 = p1.clone();
-            const centerP2 = p2.clone();
-
             // Only add center line if it's relatively straight
             const angle = tangent.angleTo(curve.getTangentAt(next_t));
             if (angle < 0.1) { // Threshold for straight sections
@@ -435,9 +1011,7 @@ function generateRoadMarkings(scene) {
                 }
 
                 const centerLine = new THREE.Mesh(centerLineGeometry, whiteMaterial);
-                centerLine.position.copy(centerP1).lerp(centerP2, 0.5);
-                centerLine.position.y = lineHeight / 2;
-                centerLine.lookAt(centerP2.clone().setY(centerLine.position.y));
+                placeOnRoad(centerLine, midFrame, 0, lineHeight / 2);
                 scene.add(centerLine);
                 trackData.sceneMeshes.push(centerLine);
             }
@@ -457,69 +1031,57 @@ function generateDRSMarkings(scene) {
     const drsHeight = 0.05;
     const drsLength = 8.0;
 
-    TRACK_FEATURES.drsZones.forEach(zone => {
-        const startT = zone.startT;
-        const endT = zone.endT;
+    trackData.features.drsZones.forEach(zone => {
         const sideMultiplier = zone.side === 'left' ? 1 : -1;
+        const zoneLength = (zone.endT - zone.startT + 1) % 1; // Zones may wrap past t = 1
 
-        for (let t = startT; t < endT; t += 0.05) {
-            const point = curve.getPointAt(t);
-            const tangent = curve.getTangentAt(t);
-            const normal = new THREE.Vector3(0, 1, 0);
-            const binormal = new THREE.Vector3().crossVectors(normal, tangent).normalize();
-
-            const drsPosition = point.clone().add(
-                binormal.clone().multiplyScalar((roadHalfWidth - drsWidth) * sideMultiplier)
-            );
-
+        for (let offset = 0; offset < zoneLength; offset += 0.05) {
+            const t = (zone.startT + offset) % 1;
             const drsGeometry = new THREE.BoxGeometry(drsWidth, drsHeight, drsLength);
             const drsMarker = new THREE.Mesh(drsGeometry, blueMaterial);
-            drsMarker.position.copy(drsPosition);
-            drsMarker.position.y = drsHeight / 2;
-
-            const nextPoint = curve.getPointAt(t + 0.05);
-            const direction = new THREE.Vector3().subVectors(nextPoint, point);
-            drsMarker.lookAt(drsMarker.position.clone().add(direction));
+            const halfWidth = getTrackHalfWidth(curve, t, roadHalfWidth);
+            placeOnRoad(drsMarker, getTrackFrame(curve, t), (halfWidth - drsWidth) * sideMultiplier, drsHeight / 2);
 
             scene.add(drsMarker);
             trackData.sceneMeshes.push(drsMarker);
         }
+
+        // Detection line across the road
+        const detectionWidth = 2 * getTrackHalfWidth(curve, zone.detectionT, roadHalfWidth);
+        const detectionLine = new THREE.Mesh(new THREE.BoxGeometry(detectionWidth, drsHeight, 0.5), blueMaterial);
+        placeOnRoad(detectionLine, getTrackFrame(curve, zone.detectionT), 0, drsHeight / 2);
+        scene.add(detectionLine);
+        trackData.sceneMeshes.push(detectionLine);
     });
 }
 
-// --- START/FINISH LINE (UNCHANGED) ---
+// --- START/FINISH LINE ---
 function generateStartFinishLine(scene) {
     if (!trackData.curve) return;
 
     const curve = trackData.curve;
     const checkeredWidth = 1.0;
-    const lineLength = roadWidth;
+    const halfWidth = getTrackHalfWidth(curve, trackData.features.startFinishT, roadHalfWidth);
+    const lineLength = 2 * halfWidth;
     const numCheckers = Math.ceil(lineLength / checkeredWidth);
 
     if (!baseGeometry) {
         baseGeometry = new THREE.BoxGeometry(checkeredWidth, 0.01, checkeredWidth);
     }
 
-    const t = 0;
-    const point = curve.getPointAt(t);
-    const tangent = curve.getTangentAt(t);
-    const normal = new THREE.Vector3(0, 1, 0);
-    const binormal = new THREE.Vector3().crossVectors(normal, tangent).normalize();
+    // Blocks sit half a block past the line
+    const frame = getTrackFrame(curve, trackData.features.startFinishT);
+    frame.point.addScaledVector(frame.tangent, checkeredWidth * 0.5);
 
-    const startOffset = roadHalfWidth - (checkeredWidth / 2);
+    const startOffset = halfWidth - (checkeredWidth / 2);
 
     for (let i = 0; i < numCheckers; i++) {
         const isWhite = i % 2 === 0;
         const material = isWhite ? whiteMaterial : blackMaterial;
         const lateralPos = startOffset - (i * checkeredWidth);
-        const blockPosition = point.clone()
-            .add(binormal.clone().multiplyScalar(lateralPos))
-            .add(tangent.clone().multiplyScalar(checkeredWidth * 0.5));
 
         const checkerBlock = new THREE.Mesh(baseGeometry, material);
-        checkerBlock.position.copy(blockPosition);
-        checkerBlock.position.y = 0.005;
-        checkerBlock.lookAt(point.clone().add(tangent));
+        placeOnRoad(checkerBlock, frame, lateralPos, 0.005);
 
         scene.add(checkerBlock);
         trackData.sceneMeshes.push(checkerBlock);
@@ -531,6 +1093,9 @@ export function generateTrackMesh(scene) {
     clearTrack(scene);
 
     generateRoadMesh(scene);
+    generateRunoff(scene);
+    generatePitLane(scene);
+    generateBarriers(scene);
     generateStartFinishLine(scene);
     generateRoadMarkings(scene);
     generateF1Kerbs(scene);
@@ -1,6 +1,18 @@
 // js/UIManager.js
 import { formatTime } from './Utils.js';
 import { gameState } from './State.js';
+import { CONFIG } from './Config.js';
+
+const ROOM_LIST_REFRESH_MS = 5000;
+const TYRE_COMPOUND_COLORS = { soft: '#ff3b30', medium: '#ffd600', hard: '#ffffff' };
+const TYRE_TEMPERATURE_MARGIN = 20; // Within this of optimal the tyre shows green
+const KMH_PER_SPEED_UNIT = 3.15; // Car speed (units per second) to the km/h shown
+
+function getTyreTemperatureColor(temperature, optimalTemperature) {
+    if (temperature < optimalTemperature - TYRE_TEMPERATURE_MARGIN) return '#4fc3f7';
+    if (temperature > optimalTemperature + TYRE_TEMPERATURE_MARGIN) return '#ff5252';
+    return '#69f0ae';
+}
 
 export class UIManager {
     constructor(networkManager) {
@@ -25,6 +37,16 @@ export class UIManager {
         this.hudLastTimeElement = document.getElementById('hud-last-time');
         this.hudBestTimeElement = document.getElementById('hud-best-time');
         this.hudSpeedElement = document.getElementById('hud-speed');
+        this.hudSlipstreamElement = document.getElementById('hud-slipstream');
+        this.hudSlipstreamBar = document.getElementById('hud-slipstream-bar');
+        this.hudDrsElement = document.getElementById('hud-drs');
+        this.hudPitElement = document.getElementById('hud-pit');
+        this.hudFuelElement = document.getElementById('hud-fuel');
+        this.hudShiftLights = document.getElementById('hud-shift-lights');
+        this.hudGearElement = document.getElementById('hud-gear');
+        this.hudRpmElement = document.getElementById('hud-rpm');
+        this.hudTyreCompound = document.getElementById('hud-tyre-compound');
+        this.hudTyreCells = document.querySelectorAll('.hud-tyre'); // FL, FR, RL, RR
 
         // Buttons
         this.resumeButton = document.getElementById('resume-button');
@@ -38,6 +60,44 @@ export class UIManager {
         this.playerNameInput = document.getElementById('playerNameInput');
         this.trackSelectNetwork = document.getElementById('trackSelect-network');
         this.roomIdInput = document.getElementById('roomIdInput');
+        this.privateRoomToggle = document.getElementById('private-room-toggle');
+        this.roomPasswordInput = document.getElementById('roomPasswordInput');
+
+        // Room settings (waiting screen, editable by the host)
+        this.roomSettingsPanel = document.getElementById('room-settings');
+        this.roomSettingsInputs = {
+            laps: document.getElementById('setting-laps'),
+            maxPlayers: document.getElementById('setting-max-players'),
+            collisions: document.getElementById('setting-collisions'),
+            ghosting: document.getElementById('setting-ghosting'),
+            assists: document.getElementById('setting-assists'),
+            password: document.getElementById('setting-password')
+        };
+        Object.entries(this.roomSettingsInputs).forEach(([key, input]) => {
+            input?.addEventListener('change', () => {
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                this.networkManager?.updateRoomSettings({ [key]: value });
+            });
+        });
+
+        // Tyre compound, picked in the lobby or the single-player menu
+        this.tyreCompoundSelects = document.querySelectorAll('.tyre-compound-select');
+        this.tyreCompoundSelects.forEach(select => {
+            select.addEventListener('change', () => this.selectTyreCompound(select.value));
+        });
+
+        // Room browser
+        this.roomList = document.getElementById('room-list');
+        this.refreshRoomsButton = document.getElementById('refresh-rooms-button');
+        this.refreshRoomsButton?.addEventListener('click', () => this.networkManager?.listRooms());
+        this.roomListTimer = null;
+
+        // Start lights
+        this.startLights = document.getElementById('start-lights');
+        this.startLightsTimer = null;
+
+        // Standings tower
+        this.standingsTower = document.getElementById('standings');
 
         // Gyro Toggle
 
@@ -46,6 +106,10 @@ export class UIManager {
         
 
 
+    }
+
+    setNetworkManager(networkManager) {
+        this.networkManager = networkManager;
     }
 
     resumeGame() {
@@ -99,10 +163,12 @@ export class UIManager {
             this.roomIdDisplay.textContent = 'SINGLE PLAYER';
             this.playerList.innerHTML = `<li>${players[0].name}</li>`;
             this.startGameButton.textContent = 'Starting...';
+            if (this.roomSettingsPanel) this.roomSettingsPanel.style.display = 'none';
             this.startGameButton.style.display = 'block';
             this.startGameButton.disabled = true;
         } else {
             this.roomIdDisplay.textContent = `ROOM ID: ${roomId}`;
+            if (this.roomSettingsPanel) this.roomSettingsPanel.style.display = 'block';
             this.updatePlayerList(players, hostId);
             this.updateStartButtonVisibility(hostId, clientId);
         }
@@ -111,6 +177,7 @@ export class UIManager {
     }
 
     updateStartButtonVisibility(hostId, clientId) {
+        this.setRoomSettingsEditable(hostId === clientId);
         if (hostId === clientId) {
             this.startGameButton.style.display = 'block';
             this.startGameButton.disabled = false;
@@ -122,6 +189,30 @@ export class UIManager {
         }
     }
 
+    updateRoomSettings(settings) {
+        const inputs = this.roomSettingsInputs;
+        if (inputs.laps) inputs.laps.value = settings.laps;
+        if (inputs.maxPlayers) inputs.maxPlayers.value = settings.maxPlayers;
+        if (inputs.collisions) inputs.collisions.checked = settings.collisions;
+        if (inputs.ghosting) inputs.ghosting.checked = settings.ghosting;
+        if (inputs.assists) inputs.assists.checked = settings.assists;
+        // The server never echoes the password back; the host keeps what they typed
+        if (inputs.password) inputs.password.placeholder = settings.hasPassword ? 'Password set' : 'No password';
+    }
+
+    selectTyreCompound(compound) {
+        gameState.tyreCompound = compound;
+        this.tyreCompoundSelects.forEach(select => { select.value = compound; });
+        if (gameState.isMultiplayer) this.networkManager?.selectTyres(compound);
+    }
+
+    setRoomSettingsEditable(editable) {
+        Object.values(this.roomSettingsInputs).forEach(input => {
+            if (input) input.disabled = !editable;
+        });
+        if (!editable && this.roomSettingsInputs.password) this.roomSettingsInputs.password.value = '';
+    }
+
     updateMemoryStatus(status) {
         const memoryElement = document.getElementById('memory-status');
         if (memoryElement) {
@@ -142,8 +233,122 @@ export class UIManager {
         });
     }
 
-    showNetworkMenu() { if (this.networkMenu) this.networkMenu.style.display = 'block'; }
-    hideNetworkMenu() { if (this.networkMenu) this.networkMenu.style.display = 'none'; }
+    showNetworkMenu() {
+        if (this.networkMenu) this.networkMenu.style.display = 'block';
+        this.startRoomBrowser();
+    }
+    hideNetworkMenu() {
+        if (this.networkMenu) this.networkMenu.style.display = 'none';
+        this.stopRoomBrowser();
+    }
+
+    // Polls the server for open rooms while the lobby is visible
+    startRoomBrowser() {
+        this.stopRoomBrowser();
+        if (!this.networkManager) return;
+        this.networkManager.listRooms();
+        this.roomListTimer = setInterval(() => this.networkManager?.listRooms(), ROOM_LIST_REFRESH_MS);
+    }
+
+    stopRoomBrowser() {
+        if (this.roomListTimer) {
+            clearInterval(this.roomListTimer);
+            this.roomListTimer = null;
+        }
+    }
+
+    renderRoomList(rooms) {
+        if (!this.roomList) return;
+        this.roomList.innerHTML = '';
+
+        if (rooms.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'No open rooms. Create one!';
+            li.style.color = '#888';
+            this.roomList.appendChild(li);
+            return;
+        }
+
+        rooms.forEach(room => {
+            const li = document.createElement('li');
+            const info = document.createElement('span');
+            const status = room.gameStarted ? 'racing' : 'waiting';
+            const lock = room.hasPassword ? '🔒 ' : '';
+            info.textContent = `${lock}${room.track} · ${room.hostName ?? '?'} · ${room.playerCount}/${room.maxPlayers} players · ${status}`;
+
+            const joinButton = document.createElement('button');
+            joinButton.textContent = 'Join';
+            joinButton.disabled = room.gameStarted || room.playerCount >= room.maxPlayers;
+            joinButton.addEventListener('click', () => {
+                const playerName = this.playerNameInput?.value || 'Player';
+                this.networkManager?.joinRoom(room.id, playerName, this.roomPasswordInput?.value || '');
+            });
+
+            li.appendChild(info);
+            li.appendChild(joinButton);
+            this.roomList.appendChild(li);
+        });
+    }
+    // Lights come on one per interval from lightsStartAt (server time) and stay lit
+    // until the server says lights out, so the hold can't be read from the client
+    showStartLights(lightsStartAt, lightCount, lightInterval) {
+        if (!this.startLights) return;
+        this.hideStartLights();
+
+        this.startLights.innerHTML = '<div class="start-light"></div>'.repeat(lightCount);
+        this.startLights.style.display = 'flex';
+        const lights = this.startLights.children;
+
+        const update = () => {
+            const elapsed = this.networkManager.getServerTime() - lightsStartAt;
+            const lit = elapsed < 0 ? 0 : Math.min(lightCount, Math.floor(elapsed / lightInterval) + 1);
+            for (let i = 0; i < lights.length; i++) {
+                lights[i].classList.toggle('lit', i < lit);
+            }
+        };
+        update();
+        this.startLightsTimer = setInterval(update, 50);
+    }
+
+    hideStartLights() {
+        clearInterval(this.startLightsTimer);
+        this.startLightsTimer = null;
+        if (this.startLights) this.startLights.style.display = 'none';
+    }
+
+    formatGap(entry) {
+        if (entry.position === 1) return 'Leader';
+        if (entry.lapsDown > 0) return `+${entry.lapsDown} Lap${entry.lapsDown === 1 ? '' : 's'}`;
+        if (entry.gapMs === null) return '--';
+        return `+${(entry.gapMs / 1000).toFixed(3)}`;
+    }
+
+    updateStandings(standings, localId) {
+        if (!this.standingsTower) return;
+        this.standingsTower.innerHTML = '';
+        this.standingsTower.style.display = standings.length > 0 ? 'block' : 'none';
+
+        standings.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'standings-row';
+            if (entry.id === localId) row.classList.add('local');
+            if (!entry.connected) row.classList.add('disconnected');
+
+            const cells = [
+                entry.position,
+                entry.name,
+                this.formatGap(entry),
+                entry.lastLapMs ? formatTime(entry.lastLapMs) : '--'
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.standingsTower.appendChild(row);
+        });
+    }
+
     hideWaitingScreen() { if (this.waitingScreen) this.waitingScreen.style.display = 'none'; }
     populateTrackSelect(tracks) { if (this.trackSelectNetwork) { this.trackSelectNetwork.innerHTML = tracks.map(t => `<option value="${t}">${t}</option>`).join(''); } }
     updateHUD(data) {
@@ -152,13 +357,108 @@ export class UIManager {
         this.hudCurrentTimeElement.textContent = `Time: ${formatTime(performance.now() - gameState.lapStartTime)}`;
         this.hudLastTimeElement.textContent = `Last: ${gameState.lapTimes.length > 0 ? formatTime(gameState.lapTimes.slice(-1)[0]) : '--:--.---'}`;
         this.hudBestTimeElement.textContent = `Best: ${gameState.bestLapTime === Infinity ? '--:--.---' : formatTime(gameState.bestLapTime)}`;
-        this.hudSpeedElement.textContent = `Speed: ${Math.round(data.speed * 189)} KM/H`;
+        this.hudSpeedElement.textContent = `Speed: ${Math.round(data.speed * KMH_PER_SPEED_UNIT)} KM/H`;
         this.warning.style.display = data.isWrongWay ? 'block' : 'none';
+        if (this.hudSlipstreamElement) {
+            const slipstream = data.slipstream || 0;
+            this.hudSlipstreamElement.style.display = slipstream > 0.05 ? 'block' : 'none';
+            this.hudSlipstreamBar.style.width = `${Math.round(slipstream * 100)}%`;
+        }
+        if (this.hudDrsElement && data.drs) {
+            this.hudDrsElement.classList.toggle('available', data.drs.available);
+            this.hudDrsElement.classList.toggle('in-zone', data.drs.available && data.drs.inZone);
+            this.hudDrsElement.classList.toggle('open', data.drs.open);
+        }
+        if (this.hudGearElement && data.gearbox) {
+            const { gear, rpm, speed, autoShift } = data.gearbox;
+            this.hudGearElement.textContent = speed < 0 ? 'R' : gear;
+            this.hudRpmElement.textContent = `${Math.round(rpm / 100) * 100} RPM ${autoShift ? 'AUTO' : 'MAN'}`;
+            // Lights fill from SHIFT_LIGHTS_START_RPM and all flash blue on the limiter
+            const lights = this.hudShiftLights.children;
+            const lit = Math.round((rpm - CONFIG.SHIFT_LIGHTS_START_RPM) /
+                (CONFIG.REDLINE_RPM - CONFIG.SHIFT_LIGHTS_START_RPM) * lights.length);
+            for (let i = 0; i < lights.length; i++) {
+                lights[i].classList.toggle('lit', i < lit);
+            }
+            this.hudShiftLights.classList.toggle('limiter', rpm >= CONFIG.REDLINE_RPM && performance.now() % 200 < 100);
+        }
+        if (this.hudFuelElement && data.fuel) {
+            // Red when the tank won't last the laps still to run, this one included
+            const { kg, laps, mix } = data.fuel;
+            const lapsToGo = gameState.totalLaps - gameState.currentLap + 1;
+            this.hudFuelElement.textContent = kg > 0
+                ? `Fuel: ${kg.toFixed(1)} kg (${Number.isFinite(laps) ? laps.toFixed(1) : '--'} laps) ${mix.toUpperCase()}`
+                : 'Fuel: EMPTY';
+            this.hudFuelElement.classList.toggle('short', laps < lapsToGo);
+        }
+        if (this.hudTyreCompound && data.tyres) {
+            const { compound, tyres } = data.tyres;
+            const { optimalTemperature } = CONFIG.TYRE_COMPOUNDS[compound];
+            this.hudTyreCompound.textContent = compound.toUpperCase();
+            this.hudTyreCompound.style.color = TYRE_COMPOUND_COLORS[compound];
+            tyres.forEach((tyre, index) => {
+                const cell = this.hudTyreCells[index];
+                if (!cell) return;
+                cell.textContent = `${Math.round(tyre.temperature)}°\n${Math.round((1 - tyre.wear) * 100)}%`;
+                cell.style.background = getTyreTemperatureColor(tyre.temperature, optimalTemperature);
+            });
+        }
+        if (this.hudPitElement && data.pit) {
+            // Service countdown while stopped in the box, the limiter anywhere else in the lane
+            this.hudPitElement.style.display = data.pit.inLane || data.pit.serviceSeconds > 0 ? 'inline-block' : 'none';
+            this.hudPitElement.textContent = data.pit.serviceSeconds > 0
+                ? `PIT STOP ${data.pit.serviceSeconds.toFixed(1)}s`
+                : 'PIT LIMITER';
+        }
         if (this.hudSpeedElement && window.gyroControls) {
             const gyroStatus = window.gyroControls.enabled ? 'GYRO' : 'TOUCH';
-            this.hudSpeedElement.textContent = `Speed: ${Math.round(data.speed * 189)} KM/H [${gyroStatus}]`;
+            this.hudSpeedElement.textContent = `Speed: ${Math.round(data.speed * KMH_PER_SPEED_UNIT)} KM/H [${gyroStatus}]`;
         }
     }
     togglePauseMenu() { if (this.pauseMenu) { this.pauseMenu.style.display = gameState.isPaused ? 'block' : 'none'; } }
-    showRaceResults() { const totalTime = performance.now() - gameState.startTime; let resultsHTML = `<h2>Race Finished!</h2><p>Total Time: ${formatTime(totalTime)}</p><button onclick="window.location.reload()">Back to Menu</button>`; if (this.pauseMenu) { this.pauseMenu.innerHTML = resultsHTML; this.pauseMenu.style.display = 'block'; } }
+    // `results` is the server's final classification; every client renders it the same way
+    showRaceResults(results = null) {
+        if (!this.pauseMenu) return;
+        if (!results) {
+            const totalTime = performance.now() - gameState.startTime;
+            this.pauseMenu.innerHTML = `<h2>Race Finished!</h2><p>Total Time: ${formatTime(totalTime)}</p><button onclick="window.location.reload()">Back to Menu</button>`;
+            this.pauseMenu.style.display = 'block';
+            return;
+        }
+
+        if (this.standingsTower) this.standingsTower.style.display = 'none';
+        this.pauseMenu.innerHTML = '<h2>Race Finished!</h2>';
+
+        const table = document.createElement('table');
+        table.className = 'race-results';
+        const header = table.insertRow();
+        ['Pos', 'Driver', 'Laps', 'Time', 'Best Lap'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        results.forEach(entry => {
+            let time = 'DNF';
+            if (entry.status === 'finished') {
+                if (entry.position === 1) time = formatTime(entry.totalTimeMs);
+                else if (entry.lapsDown > 0) time = `+${entry.lapsDown} Lap${entry.lapsDown === 1 ? '' : 's'}`;
+                else time = `+${(entry.gapMs / 1000).toFixed(3)}`;
+            }
+            if (entry.penaltyMs > 0) time += ` (+${entry.penaltyMs / 1000}s pen.)`;
+
+            const row = table.insertRow();
+            if (entry.id === this.networkManager?.clientId) row.className = 'local';
+            [entry.position, entry.name, entry.laps, time, formatTime(entry.bestLapMs)].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+        this.pauseMenu.appendChild(table);
+
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Back to Menu';
+        backButton.addEventListener('click', () => window.location.reload());
+        this.pauseMenu.appendChild(backButton);
+        this.pauseMenu.style.display = 'block';
+    }
 }
\ No newline at end of file
@@ -1,5 +1,5 @@
 import * as THREE from "three";
-import { TRACKS } from './Config.js';
+import { TRACKS, CONFIG } from './Config.js';
 
 // PRE-ALLOCATE ALL VECTORS (CRITICAL FIX)
 const closestPoint = new THREE.Vector3();
@@ -8,6 +8,8 @@ const binormal = new THREE.Vector3();
 const tempVector = new THREE.Vector3();
 const normal = new THREE.Vector3(0, 1, 0); // MOVE THIS OUTSIDE THE FUNCTION
 const searchPoint = new THREE.Vector3(); // ADD THIS FOR THE LOOP
+const surfaceNormal = new THREE.Vector3();
+const profileSample = new THREE.Vector3();
 
 export function getAvailableTracks() {
     const allTracks = new Set(TRACKS);
@@ -32,6 +34,56 @@ export function formatTime(ms) {
     return `${String(minutes)}:${String(seconds).padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`;
 }
 
+// Bank and road width are carried by the curve as a parallel profile spline
+// (see buildTrackCurve), sampled at the same spline parameter as the road point
+function sampleTrackProfile(curve, t) {
+    return curve.profileCurve.getPoint(curve.getUtoTmapping(t), profileSample);
+}
+
+// Roll of the road about its centreline. Radians; positive lifts the left-hand edge.
+export function getTrackBank(curve, t) {
+    return curve.profileCurve ? sampleTrackProfile(curve, t).x : 0;
+}
+
+// Half the road width at t; tracks without a width profile use defaultHalfWidth
+export function getTrackHalfWidth(curve, t, defaultHalfWidth) {
+    return curve.profileCurve ? sampleTrackProfile(curve, t).y : defaultHalfWidth;
+}
+
+// How far the pit lane's centreline sits beyond the road edge at t, or null where
+// the lane doesn't run. pitLane is resolved by getTrackFeatures (TrackBuilder.js).
+export function getPitLaneOffset(pitLane, t) {
+    const span = (pitLane.exitT - pitLane.entryT + 1) % 1;
+    const along = (t - pitLane.entryT + 1) % 1;
+    if (along > span) return null;
+
+    // Entry and exit roads ease out from the edge and back in
+    const distance = along / span * pitLane.length;
+    const blend = THREE.MathUtils.smoothstep(
+        Math.min(distance, pitLane.length - distance), 0, CONFIG.PIT_TRANSITION_LENGTH);
+    return blend * (CONFIG.KERB_WIDTH + CONFIG.PIT_LANE_WIDTH / 2);
+}
+
+export function createTrackFrame() {
+    return {
+        point: new THREE.Vector3(),
+        tangent: new THREE.Vector3(),
+        binormal: new THREE.Vector3(), // Across the road surface, towards the left edge
+        normal: new THREE.Vector3(),   // Up out of the road surface
+        bank: 0
+    };
+}
+
+// Orientation of the (sloped, banked) road surface at track parameter t
+export function getTrackFrame(curve, t, frame = createTrackFrame()) {
+    curve.getPointAt(t, frame.point);
+    curve.getTangentAt(t, frame.tangent);
+    frame.bank = getTrackBank(curve, t);
+    frame.binormal.crossVectors(normal, frame.tangent).normalize().applyAxisAngle(frame.tangent, frame.bank);
+    frame.normal.crossVectors(frame.tangent, frame.binormal).normalize();
+    return frame;
+}
+
 export function getTrackProperties(position, curve, divisions, lastT) {
     let closestPointT = lastT;
     let minDistanceSq = Infinity;
@@ -46,8 +98,11 @@ export function getTrackProperties(position, curve, divisions, lastT) {
         const t = index / divisions;
         
         // REUSE pre-allocated vector instead of creating new one
+        // Distance on the ground plane, so a car above or below the road still finds it
         curve.getPointAt(t, searchPoint);
-        const distanceSq = searchPoint.distanceToSquared(position);
+        const dx = searchPoint.x - position.x;
+        const dz = searchPoint.z - position.z;
+        const distanceSq = dx * dx + dz * dz;
         
         if (distanceSq < minDistanceSq) {
             minDistanceSq = distanceSq;
@@ -62,15 +117,24 @@ export function getTrackProperties(position, curve, divisions, lastT) {
     // Calculate binormal using pre-allocated vectors
     binormal.crossVectors(normal, tangent).normalize();
     
-    // Calculate lateral distance
-    tempVector.copy(position).sub(closestPoint);
+    // Calculate lateral distance (on the ground plane)
+    tempVector.copy(position).sub(closestPoint).setY(0);
     const lateralDistance = tempVector.dot(binormal);
 
+    // Road surface under the position: the centreline height plus the banked rise
+    const bank = getTrackBank(curve, closestPointT);
+    surfaceNormal.copy(binormal).applyAxisAngle(tangent, bank);
+    const surfaceHeight = closestPoint.y + lateralDistance * Math.tan(bank);
+    surfaceNormal.crossVectors(tangent, surfaceNormal).normalize();
+
     return { 
         lateralDistance, 
         minDistanceSq, 
         binormal, 
         closestPoint, 
-        closestT: closestPointT 
+        closestT: closestPointT,
+        bank,
+        surfaceHeight,
+        surfaceNormal
     };
 }
\ No newline at end of file
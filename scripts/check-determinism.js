@@ -0,0 +1,84 @@
+// Runs the same fixed inputs through stepCar twice and checks every step of the two
+// runs serializes the same. Prediction replay on the client relies on this.
+//   node scripts/check-determinism.js
+import * as THREE from 'three';
+import { createCarState, stepCar, getControls, serializeCarState, getRaceFuel } from '../js/CarPhysics.js';
+import {
+    getTrackDefinition, buildTrackCurve, getTrackFeatures, getGridSlot, divisions, roadHalfWidth
+} from '../js/TrackBuilder.js';
+import { CONFIG } from '../js/Config.js';
+
+const STEPS = CONFIG.PHYSICS_RATE_HZ * 60;
+const CAR_COUNT = 2;
+
+const definition = getTrackDefinition('Monza Standard');
+const curve = buildTrackCurve(definition.points);
+const track = { curve, divisions, roadHalfWidth, features: getTrackFeatures(definition, curve) };
+const dt = 1 / CONFIG.PHYSICS_RATE_HZ;
+const targetPoint = new THREE.Vector3();
+const targetTangent = new THREE.Vector3();
+
+function createGrid() {
+    return Array.from({ length: CAR_COUNT }, (_, slotIndex) => {
+        const car = createCarState();
+        const slot = getGridSlot(curve, slotIndex, track.features.startFinishT);
+        car.position.copy(slot.position);
+        car.rotationAngle = slot.rotationAngle;
+        car.velocityAngle = slot.rotationAngle;
+        car.currentT = slot.t;
+        car.fuel = getRaceFuel(3, curve.getLength());
+        car.randomSeed = CONFIG.PHYSICS_SEED + slotIndex;
+        return car;
+    });
+}
+
+// Aim a little ahead along the lap, weaving from kerb to kerb, lifting and braking
+// when far off line. Driven once to record a fixed input sequence for each car.
+function getDriverInputs(car, step) {
+    const target = curve.getPointAt((car.currentT + 0.01) % 1, targetPoint);
+    curve.getTangentAt((car.currentT + 0.01) % 1, targetTangent);
+    const weave = Math.sin(step / 90) * (roadHalfWidth + CONFIG.KERB_WIDTH / 2);
+    target.x += targetTangent.z * weave;
+    target.z -= targetTangent.x * weave;
+
+    let offLine = Math.atan2(target.x - car.position.x, target.z - car.position.z) - car.rotationAngle;
+    offLine = Math.atan2(Math.sin(offLine), Math.cos(offLine));
+    const braking = Math.abs(offLine) > 0.4 && car.speed > 50;
+    return getControls({
+        w: !braking,
+        ' ': braking,
+        a: offLine > 0.05,
+        d: offLine < -0.05,
+        e: true
+    }, null, { fuelMix: ['lean', 'standard', 'rich'][Math.floor(step / 600) % 3], autoShift: true });
+}
+
+function recordInputs() {
+    const cars = createGrid();
+    const inputs = [];
+    for (let step = 0; step < STEPS; step++) {
+        const stepInputs = cars.map(car => getDriverInputs(car, step));
+        cars.forEach((car, carIndex) => stepCar(car, stepInputs[carIndex], dt, track, { others: cars }));
+        inputs.push(stepInputs);
+    }
+    return inputs;
+}
+
+function run(inputs) {
+    const cars = createGrid();
+    return inputs.map(stepInputs => {
+        cars.forEach((car, carIndex) => stepCar(car, stepInputs[carIndex], dt, track, { others: cars }));
+        return JSON.stringify(cars.map(serializeCarState));
+    });
+}
+
+const inputs = recordInputs();
+const first = run(inputs);
+const second = run(inputs);
+const divergedAt = first.findIndex((state, step) => state !== second[step]);
+
+if (divergedAt !== -1) {
+    console.error(`Runs diverge at step ${divergedAt}:\n${first[divergedAt]}\n${second[divergedAt]}`);
+    process.exit(1);
+}
+console.log(`${STEPS} steps of ${CAR_COUNT} cars match`);
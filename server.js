@@ -1,12 +1,54 @@
 // server.js
-import { WebSocketServer } from 'ws';
+import { WebSocketServer, WebSocket } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+    createCarState, stepCar, serializeCarState, crossedTrackPoint, fitTyres, getRaceFuel
+} from './js/CarPhysics.js';
+import {
+    buildTrackCurve, getTrackDefinition, normalizeTrackDefinition, hashTrackDefinition, getGridSlot,
+    getTrackFeatures, getLapT, divisions, roadHalfWidth
+} from './js/TrackBuilder.js';
+import { CONFIG as GAME_CONFIG } from './js/Config.js';
+import { resolveCarCollision, carCollisionsEnabled } from './js/CarCollision.js';
 
 const CONFIG = {
     INPUT_SEND_RATE_HZ: 12,
+    SIMULATION_RATE_HZ: GAME_CONFIG.PHYSICS_RATE_HZ, // The client's fixed physics step
+    MAX_INPUT_BURST: 30,    // Steps a client may catch up at once after network jitter
+    MAX_QUEUED_INPUTS: 120, // Older inputs are dropped beyond this backlog
+    RECONNECT_GRACE_MS: 30000, // How long a dropped player's car is kept for them to resume
+
+    // Race start: five red lights, one per second, then a random hold before lights out
+    COUNTDOWN_DELAY_MS: 2000,  // Time on the grid before the first light
+    START_LIGHT_COUNT: 5,
+    START_LIGHT_INTERVAL_MS: 1000,
+    LIGHTS_OUT_MIN_HOLD_MS: 200,
+    LIGHTS_OUT_MAX_HOLD_MS: 3000,
+    JUMP_START_PENALTY_MS: 5000,
+    JUMP_START_REACTION_MS: 100, // Throttle received sooner than this after lights out was pressed before them
+
+    // Standings: the lap is split into timing points to measure gaps between cars
+    TIMING_POINTS_PER_LAP: 50,
+    STANDINGS_BROADCAST_MS: 500,
+    FINISH_CUTOFF_MS: 60000, // After the winner, the rest get this long to take the flag
+
+    // Limits for the host-editable room settings
+    MAX_LAPS: 50,
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS: 16,
+    MAX_PASSWORD_LENGTH: 32,
+};
+
+const DEFAULT_ROOM_SETTINGS = {
+    laps: GAME_CONFIG.TOTAL_LAPS,
+    maxPlayers: 8,
+    collisions: true, // Car-to-car contact
+    ghosting: false,  // Other cars are see-through
+    assists: true,    // Driving aids allowed
+    password: ''      // Empty for an open room
 };
 
 // Fix for __dirname in ES modules
@@ -17,6 +59,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = 3000;
 
+// Public lobby listing for anything that is not connected over WebSocket
+app.get('/api/rooms', (req, res) => {
+    res.json({ rooms: getPublicRooms() });
+});
+
 // Serve static files from current directory
 app.use(express.static(path.join(__dirname)));
 
@@ -31,35 +78,39 @@ const wss = new WebSocketServer({ server });
 
 const rooms = {};
 const clients = {};
+const sessions = {}; // sessionToken -> clientId, lets a dropped player take their seat back
 
 console.log('🎮 WebSocket server running on port', PORT);
 
 wss.on('connection', ws => {
-    const clientId = uuidv4();
-    clients[clientId] = { ws, roomId: null, lastState: null };
-    ws.send(JSON.stringify({ type: 'welcome', clientId }));
-    ws.on('message', message => handleMessage(clientId, message));
-    ws.on('close', () => handleDisconnect(clientId));
+    // Mutable so a resumed session can rebind this socket to the original clientId
+    const connection = { clientId: uuidv4() };
+    const sessionToken = uuidv4();
+    clients[connection.clientId] = { ws, roomId: null, sessionToken, graceTimer: null };
+    sessions[sessionToken] = connection.clientId;
+
+    ws.send(JSON.stringify({ type: 'welcome', clientId: connection.clientId, sessionToken }));
+    ws.on('message', message => handleMessage(connection, message));
+    ws.on('close', () => handleDisconnect(connection.clientId, ws));
 });
 
-function handleMessage(clientId, message) {
+function handleMessage(connection, message) {
+    const { clientId } = connection;
     try {
         const data = JSON.parse(message);
         console.log(`Received ${data.type} from ${clientId.substring(0, 8)}`);
         
         switch (data.type) {
+            case 'resume': handleResume(connection, data); break;
+            case 'leaveRoom': removePlayerFromRoom(clientId); break;
+            case 'listRooms': sendToClient(clientId, { type: 'roomList', rooms: getPublicRooms() }); break;
             case 'createRoom': handleCreateRoom(clientId, data); break;
             case 'joinRoom': handleJoinRoom(clientId, data); break;
+            case 'trackReady': handleTrackReady(clientId, data); break;
             case 'startGame': handleStartGame(clientId); break;
-            case 'input':
-                const player = clients[clientId];
-                if (player?.roomId && rooms[player.roomId]?.players[clientId]) {
-                    // Store the state properly
-                    rooms[player.roomId].players[clientId].state = data.state;
-                    // ALSO store in client for backup
-                    clients[clientId].lastState = data.state;
-                }
-                break;
+            case 'updateRoomSettings': handleUpdateRoomSettings(clientId, data); break;
+            case 'selectTyres': handleSelectTyres(clientId, data); break;
+            case 'input': handleInput(clientId, data); break;
         }
     } catch (error) {
         console.error('Error handling message:', error);
@@ -68,7 +119,22 @@ function handleMessage(clientId, message) {
 
 function handleCreateRoom(clientId, data) {
     const roomId = Math.random().toString(36).substring(2, 7).toUpperCase();
-    rooms[roomId] = { id: roomId, hostId: clientId, track: data.track, gameStarted: false, players: {} };
+
+    // The host's layout travels with the room; guests never look it up locally.
+    // Without one we only know the built-in default.
+    const trackDefinition = normalizeTrackDefinition(data.trackDefinition) ?? getTrackDefinition(data.track);
+
+    rooms[roomId] = {
+        id: roomId,
+        hostId: clientId,
+        track: data.track,
+        trackDefinition,
+        trackHash: hashTrackDefinition(trackDefinition),
+        isPrivate: !!data.isPrivate, // Private rooms are joinable by code only
+        settings: { ...DEFAULT_ROOM_SETTINGS },
+        gameStarted: false,
+        players: {}
+    };
     console.log(`Room ${roomId} created by ${clientId.substring(0, 8)}`);
     handleJoinRoom(clientId, { roomId, playerName: data.playerName });
 }
@@ -80,25 +146,49 @@ function handleJoinRoom(clientId, data) {
         clients[clientId]?.ws.send(JSON.stringify({ type: 'error', message: 'Room not found' })); 
         return; 
     }
+    if (!room.players[clientId]) {
+        if (Object.keys(room.players).length >= room.settings.maxPlayers) {
+            sendToClient(clientId, { type: 'error', message: 'Room is full' });
+            return;
+        }
+        if (room.settings.password && data.password !== room.settings.password) {
+            sendToClient(clientId, { type: 'error', message: 'Wrong room password' });
+            return;
+        }
+        // A car can't be put into a race in progress, and the newcomer never got its start
+        if (room.gameStarted) {
+            sendToClient(clientId, { type: 'error', message: 'Race already in progress' });
+            return;
+        }
+    }
     
     if (clients[clientId].roomId) { 
-        handleDisconnect(clientId, true); 
+        removePlayerFromRoom(clientId); 
     }
 
     clients[clientId].roomId = roomId;
     room.players[clientId] = { 
         id: clientId, 
         name: playerName, 
-        state: { position: { x: 0, z: 0 }, rotationAngle: 0 }
+        car: createCarState(),
+        connected: true,
+        trackHash: null, // Reported by the client once it has built the curve
+        tyreCompound: GAME_CONFIG.DEFAULT_TYRE_COMPOUND,
+        inputQueue: [],
+        lastInputSeq: 0,
+        inputBudget: 0
     };
     
-    const playersList = Object.values(room.players).map(p => ({ id: p.id, name: p.name }));
+    const playersList = getPlayersList(room);
     const message = { 
         type: 'joined', 
         roomId, 
         players: playersList, 
         track: room.track, 
-        hostId: room.hostId 
+        trackDefinition: room.trackDefinition,
+        trackHash: room.trackHash,
+        hostId: room.hostId,
+        settings: getPublicSettings(room)
     };
     
     console.log(`Player ${playerName} (${clientId.substring(0, 8)}) joined room ${roomId}`);
@@ -107,36 +197,510 @@ function handleJoinRoom(clientId, data) {
     broadcastToRoom(roomId, { ...message, type: 'playerJoined' }, clientId);
 }
 
+// The password never leaves the server; guests only learn that there is one
+function getPublicSettings(room) {
+    const { password, ...settings } = room.settings;
+    return { ...settings, hasPassword: password !== '' };
+}
+
+function clampInteger(value, min, max, fallback) {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// Only the host may change settings, and only in the lobby. Unknown keys are ignored.
+function handleUpdateRoomSettings(clientId, data) {
+    const room = rooms[clients[clientId]?.roomId];
+    if (!room || room.hostId !== clientId || room.gameStarted || !data.settings) return;
+
+    const current = room.settings;
+    const changes = data.settings;
+    const playerCount = Object.keys(room.players).length;
+
+    room.settings = {
+        laps: 'laps' in changes ? clampInteger(changes.laps, 1, CONFIG.MAX_LAPS, current.laps) : current.laps,
+        maxPlayers: 'maxPlayers' in changes
+            ? clampInteger(changes.maxPlayers, Math.max(CONFIG.MIN_PLAYERS, playerCount), CONFIG.MAX_PLAYERS, current.maxPlayers)
+            : current.maxPlayers,
+        collisions: 'collisions' in changes ? !!changes.collisions : current.collisions,
+        ghosting: 'ghosting' in changes ? !!changes.ghosting : current.ghosting,
+        assists: 'assists' in changes ? !!changes.assists : current.assists,
+        password: 'password' in changes
+            ? String(changes.password ?? '').slice(0, CONFIG.MAX_PASSWORD_LENGTH)
+            : current.password
+    };
+
+    console.log(`Settings updated in room ${room.id}`);
+    broadcastToRoom(room.id, { type: 'roomSettings', settings: getPublicSettings(room) });
+}
+
+// Each driver picks their own compound in the lobby; it is fitted when the race starts
+function handleSelectTyres(clientId, data) {
+    const room = rooms[clients[clientId]?.roomId];
+    const player = room?.players[clientId];
+    if (!player || room.gameStarted || !Object.hasOwn(GAME_CONFIG.TYRE_COMPOUNDS, data.compound)) return;
+
+    player.tyreCompound = data.compound;
+}
+
+function handleTrackReady(clientId, data) {
+    const room = rooms[clients[clientId]?.roomId];
+    const player = room?.players[clientId];
+    if (!player) return;
+
+    player.trackHash = String(data.trackHash);
+    if (player.trackHash !== room.trackHash) {
+        console.warn(`Track mismatch for ${player.name} in room ${room.id}: ${player.trackHash} != ${room.trackHash}`);
+        sendToClient(clientId, { type: 'error', message: 'Your track does not match the host\'s track.' });
+    }
+}
+
 function handleStartGame(clientId) {
     const room = rooms[clients[clientId]?.roomId];
     if (room && room.hostId === clientId && !room.gameStarted) {
+        // Never race on different layouts: everyone must have confirmed the room's track
+        const unverified = Object.values(room.players).filter(p => p.trackHash !== room.trackHash);
+        if (unverified.length > 0) {
+            const names = unverified.map(p => p.name).join(', ');
+            sendToClient(clientId, { type: 'error', message: `Track not confirmed by: ${names}` });
+            return;
+        }
+
         room.gameStarted = true;
+        room.curve = buildTrackCurve(room.trackDefinition.points);
+        room.features = getTrackFeatures(room.trackDefinition, room.curve);
+        room.drsDetectionTimes = room.features.drsZones.map(() => null); // Last car over each detection point
+
+        // Grid order is join order; everyone is held until lights out
+        const grid = [];
+        Object.values(room.players).forEach((player, slotIndex) => {
+            player.gridSlot = slotIndex;
+            player.jumpStart = false;
+            placeCarOnGrid(player.car, room, slotIndex);
+            fitTyres(player.car, player.tyreCompound);
+            resetRaceProgress(room, player);
+            grid.push({ id: player.id, slot: slotIndex });
+        });
+
+        const now = Date.now();
+        const lightsStartAt = now + CONFIG.COUNTDOWN_DELAY_MS;
+        const hold = CONFIG.LIGHTS_OUT_MIN_HOLD_MS +
+            Math.random() * (CONFIG.LIGHTS_OUT_MAX_HOLD_MS - CONFIG.LIGHTS_OUT_MIN_HOLD_MS);
+        const lightsOutAt = lightsStartAt + (CONFIG.START_LIGHT_COUNT - 1) * CONFIG.START_LIGHT_INTERVAL_MS + hold;
+
+        // lightsOutAt is kept secret; clients only learn it when it happens
+        room.lightsOutAt = null;
+        room.totalLaps = room.settings.laps;
+        room.chequeredAt = null;
+        room.finishOrder = 0;
+        room.results = null;
+        room.lightsOutTimer = setTimeout(() => handleLightsOut(room), lightsOutAt - now);
+
         console.log(`Game started in room ${room.id}`);
-        broadcastToRoom(room.id, { type: 'gameStarted' });
+        broadcastToRoom(room.id, {
+            type: 'gameStarted',
+            serverTime: now,
+            grid,
+            lightsStartAt,
+            lightCount: CONFIG.START_LIGHT_COUNT,
+            lightInterval: CONFIG.START_LIGHT_INTERVAL_MS,
+            settings: getPublicSettings(room)
+        });
     }
 }
 
-function handleDisconnect(clientId, isRejoining = false) {
-    const player = clients[clientId];
-    if (!player) return;
-    const roomId = player.roomId;
-    const room = rooms[roomId];
-    if (room) {
-        delete room.players[clientId];
-        const playersList = Object.values(room.players).map(p => ({ id: p.id, name: p.name }));
-        if (playersList.length === 0) {
-            delete rooms[roomId];
-            console.log(`Room ${roomId} deleted (no players left)`);
-        } else {
-            if (room.hostId === clientId) { 
-                room.hostId = playersList[0].id; 
-                console.log(`New host for room ${roomId}: ${playersList[0].name}`);
+function handleLightsOut(room) {
+    room.lightsOutTimer = null;
+    if (!rooms[room.id]) return;
+
+    room.lightsOutAt = Date.now();
+    for (const clientId in room.players) {
+        const player = room.players[clientId];
+        player.car.launchLocked = false;
+        player.lapStartedAt = room.lightsOutAt; // Lap 1 is timed from the standing start
+    }
+
+    console.log(`Lights out in room ${room.id}`);
+    broadcastToRoom(room.id, { type: 'lightsOut', serverTime: room.lightsOutAt });
+}
+
+function flagJumpStart(room, player) {
+    if (player.jumpStart) return;
+    player.jumpStart = true;
+    console.log(`Jump start by ${player.name} in room ${room.id}`);
+    broadcastToRoom(room.id, { type: 'jumpStart', playerId: player.id, penaltyMs: CONFIG.JUMP_START_PENALTY_MS });
+}
+
+// Clients only send sequence-numbered controls, one per physics step; positions are
+// always the result of the server simulation.
+function handleInput(clientId, data) {
+    const room = rooms[clients[clientId]?.roomId];
+    const player = room?.players[clientId];
+    if (!player || !Array.isArray(data.inputs)) return;
+
+    if (!room.gameStarted) {
+        // Nothing is simulated in the lobby; just acknowledge so the client drops its history
+        for (const input of data.inputs) {
+            if (Number.isInteger(input?.seq)) player.lastInputSeq = Math.max(player.lastInputSeq, input.seq);
+        }
+        return;
+    }
+
+    const lastQueuedSeq = player.inputQueue.length > 0
+        ? player.inputQueue[player.inputQueue.length - 1].seq
+        : player.lastInputSeq;
+
+    for (const input of data.inputs) {
+        if (!Number.isInteger(input?.seq) || input.seq <= lastQueuedSeq || !input.controls) continue;
+        player.inputQueue.push({ seq: input.seq, controls: input.controls, receivedAt: Date.now() });
+    }
+
+    if (player.inputQueue.length > CONFIG.MAX_QUEUED_INPUTS) {
+        player.inputQueue.splice(0, player.inputQueue.length - CONFIG.MAX_QUEUED_INPUTS);
+    }
+}
+
+// Grid slots sit behind the line, so the first crossing only brings a car onto lap 1
+function resetRaceProgress(room, player) {
+    player.lapT = getLapT(player.car.currentT, room.features.startFinishT);
+    player.lapsCompleted = player.lapT > 0.5 ? -1 : 0;
+    player.lapsTimed = 0;
+    player.timingPoint = -Infinity;
+    player.timingPointTime = null;
+    player.timingPointTimes = new Map(); // Timing point index -> when this car reached it
+    player.lapStartedAt = null;
+    player.lastLapMs = null;
+    player.bestLapMs = null;
+    player.finished = false;
+    player.finishOrder = null;
+    player.raceTimeMs = null;
+    player.racingSteps = 0; // Steps simulated since lights out: the car's on-track clock
+}
+
+// A finished car is frozen on the line it crossed; it keeps driving its cool-down lap
+function getRaceProgress(player) {
+    return player.finished ? player.lapsCompleted : player.lapsCompleted + player.lapT;
+}
+
+function compareRaceOrder(a, b) {
+    return getRaceProgress(b) - getRaceProgress(a) || (a.finishOrder ?? Infinity) - (b.finishOrder ?? Infinity);
+}
+
+// Counts line crossings (both ways, so reversing over the line can't farm laps)
+// and stamps the timing points used for gaps
+function updateRaceProgress(room, player) {
+    if (player.finished) return;
+
+    // Lap positions are measured from the start/finish line
+    const lapT = getLapT(player.car.currentT, room.features.startFinishT);
+    const previousLapT = player.lapT;
+    player.lapT = lapT;
+    const now = Date.now();
+
+    if (previousLapT > 0.9 && lapT < 0.1) {
+        player.lapsCompleted++;
+        // Only a new high-water mark is a timed lap, not re-crossing after reversing
+        if (player.lapsCompleted > player.lapsTimed && player.lapStartedAt !== null) {
+            player.lapsTimed = player.lapsCompleted;
+            player.lastLapMs = now - player.lapStartedAt;
+            player.bestLapMs = Math.min(player.bestLapMs ?? Infinity, player.lastLapMs);
+            player.lapStartedAt = now;
+            sendToClient(player.id, {
+                type: 'lapCompleted',
+                lap: player.lapsCompleted,
+                lapMs: player.lastLapMs,
+                bestLapMs: player.bestLapMs,
+                serverTime: now
+            });
+
+            // Once the leader has the flag, everyone finishes on their next crossing
+            if (player.lapsCompleted >= room.totalLaps || room.chequeredAt !== null) {
+                finishPlayer(room, player, now);
+                return;
             }
-            broadcastToRoom(roomId, { type: 'playerLeft', players: playersList, hostId: room.hostId });
         }
+    } else if (previousLapT < 0.1 && lapT > 0.9) {
+        player.lapsCompleted--;
+    }
+
+    const timingPoint = Math.floor(getRaceProgress(player) * CONFIG.TIMING_POINTS_PER_LAP);
+    if (timingPoint > player.timingPoint) {
+        player.timingPoint = timingPoint;
+        player.timingPointTime = now;
+        player.timingPointTimes.set(timingPoint, now);
+    }
+}
+
+// Crossing a detection point within DRS_DETECTION_GAP_MS of the previous car (lapped
+// cars included, as in F1) makes the car eligible for the zone that follows
+function updateDrsDetection(room, player, previousT) {
+    if (room.lightsOutAt === null) return;
+
+    room.features.drsZones.forEach((zone, index) => {
+        if (!crossedTrackPoint(previousT, player.car.currentT, zone.detectionT)) return;
+        // Simulated time, so gaps do not depend on how inputs were batched on the way in
+        const crossedAt = player.racingSteps * simulationStep;
+        const previousCrossing = room.drsDetectionTimes[index];
+        player.car.drsEligible = previousCrossing !== null &&
+            crossedAt - previousCrossing <= GAME_CONFIG.DRS_DETECTION_GAP_MS;
+        room.drsDetectionTimes[index] = crossedAt;
+    });
+}
+
+function finishPlayer(room, player, now) {
+    player.finished = true;
+    player.finishOrder = ++room.finishOrder;
+    player.raceTimeMs = now - room.lightsOutAt;
+
+    if (room.chequeredAt === null) {
+        room.chequeredAt = now;
+        room.finishTimer = setTimeout(() => finalizeRace(room), CONFIG.FINISH_CUTOFF_MS);
+    }
+
+    console.log(`${player.name} finished in room ${room.id}`);
+    broadcastToRoom(room.id, {
+        type: 'playerFinished',
+        playerId: player.id,
+        position: Object.values(room.players).sort(compareRaceOrder).indexOf(player) + 1,
+        cutoffMs: CONFIG.FINISH_CUTOFF_MS
+    });
+    checkRaceComplete(room);
+}
+
+// No need to wait out the cutoff once every car still connected has the flag
+function checkRaceComplete(room) {
+    if (room.chequeredAt === null || room.results) return;
+    const players = Object.values(room.players);
+    if (players.every(player => player.finished || !player.connected)) {
+        finalizeRace(room);
+    }
+}
+
+// Final classification: laps first, then race time including penalties. Cars that
+// didn't take the flag before the cutoff are listed as DNF in running order.
+function finalizeRace(room) {
+    clearTimeout(room.finishTimer);
+    room.finishTimer = null;
+    if (room.results || !rooms[room.id]) return;
+
+    const totalTime = player => player.raceTimeMs + (player.jumpStart ? CONFIG.JUMP_START_PENALTY_MS : 0);
+    const finishers = Object.values(room.players)
+        .filter(player => player.finished)
+        .sort((a, b) => b.lapsCompleted - a.lapsCompleted || totalTime(a) - totalTime(b));
+    const unfinished = Object.values(room.players)
+        .filter(player => !player.finished)
+        .sort(compareRaceOrder);
+    const winner = finishers[0];
+
+    room.results = [...finishers, ...unfinished].map((player, index) => ({
+        id: player.id,
+        name: player.name,
+        position: index + 1,
+        status: player.finished ? 'finished' : 'dnf',
+        laps: Math.max(0, player.lapsCompleted),
+        totalTimeMs: player.finished ? totalTime(player) : null,
+        gapMs: player.finished && player.lapsCompleted === winner.lapsCompleted
+            ? totalTime(player) - totalTime(winner)
+            : null,
+        lapsDown: player.finished ? winner.lapsCompleted - player.lapsCompleted : null,
+        bestLapMs: player.bestLapMs,
+        penaltyMs: player.jumpStart ? CONFIG.JUMP_START_PENALTY_MS : 0
+    }));
+
+    console.log(`Race finished in room ${room.id}`);
+    broadcastToRoom(room.id, { type: 'raceResults', totalLaps: room.totalLaps, results: room.results });
+}
+
+// Running order by distance covered; gaps are measured at the last shared timing point
+function getStandings(room) {
+    const order = Object.values(room.players).sort(compareRaceOrder);
+    const leader = order[0];
+
+    return order.map((player, index) => {
+        const lapsDown = Math.floor(getRaceProgress(leader) - getRaceProgress(player));
+        const leaderTime = leader.timingPointTimes?.get(player.timingPoint);
+        let gapMs = null;
+        if (index === 0) {
+            gapMs = 0;
+        } else if (lapsDown < 1 && leaderTime !== undefined && player.timingPointTime !== null) {
+            // A car that just dropped back can have a later timing point than the new leader
+            gapMs = Math.max(0, player.timingPointTime - leaderTime);
+        }
+
+        return {
+            id: player.id,
+            name: player.name,
+            position: index + 1,
+            lap: Math.max(1, player.lapsCompleted + 1),
+            gapMs,
+            lapsDown: Math.max(0, lapsDown),
+            lastLapMs: player.lastLapMs,
+            bestLapMs: player.bestLapMs,
+            finished: player.finished,
+            connected: player.connected
+        };
+    });
+}
+
+function placeCarOnGrid(car, room, slotIndex) {
+    const slot = getGridSlot(room.curve, slotIndex, room.features.startFinishT);
+
+    car.position.copy(slot.position);
+    car.rotationAngle = slot.rotationAngle;
+    car.velocityAngle = slot.rotationAngle;
+    car.speed = 0;
+    car.currentT = slot.t;
+    car.pitch = 0;
+    car.roll = 0;
+    car.surface = 'tarmac';
+    car.inPitLane = false;
+    car.pitBox = slotIndex;
+    car.pitStopTime = 0;
+    car.pitStopDone = false;
+    car.pitStops = 0;
+    car.fuel = getRaceFuel(room.settings.laps, room.curve.getLength());
+    car.fuelMix = GAME_CONFIG.DEFAULT_FUEL_MIX;
+    car.gear = 1;
+    car.rpm = GAME_CONFIG.IDLE_RPM;
+    car.shiftTime = 0;
+    car.randomSeed = GAME_CONFIG.PHYSICS_SEED + slotIndex;
+    car.launchLocked = true;
+}
+
+// Rebinds a fresh socket to a player who dropped within the grace period
+function handleResume(connection, data) {
+    const previousId = sessions[data.sessionToken];
+    const previous = clients[previousId];
+    const current = clients[connection.clientId];
+
+    if (!previous || previousId === connection.clientId) {
+        current.ws.send(JSON.stringify({ type: 'resumeFailed' }));
+        return;
+    }
+
+    // Drop the temporary identity this socket was given on connect
+    delete sessions[current.sessionToken];
+    delete clients[connection.clientId];
+
+    // The client may notice a dead link before we do; the stale socket is replaced
+    const staleSocket = previous.ws;
+    clearTimeout(previous.graceTimer);
+    previous.graceTimer = null;
+    previous.ws = current.ws;
+    connection.clientId = previousId;
+    if (staleSocket) staleSocket.terminate();
+
+    const room = rooms[previous.roomId];
+    const player = room?.players[previousId];
+    if (!player) {
+        previous.ws.send(JSON.stringify({ type: 'resumed', clientId: previousId, sessionToken: data.sessionToken }));
+        return;
+    }
+
+    player.connected = true;
+    player.inputQueue = [];
+    console.log(`Player ${player.name} (${previousId.substring(0, 8)}) resumed in room ${room.id}`);
+
+    previous.ws.send(JSON.stringify({
+        type: 'resumed',
+        clientId: previousId,
+        sessionToken: data.sessionToken,
+        roomId: room.id,
+        players: getPlayersList(room),
+        track: room.track,
+        hostId: room.hostId,
+        settings: getPublicSettings(room),
+        gameStarted: room.gameStarted
+    }));
+    broadcastToRoom(room.id, { type: 'playerReconnected', playerId: previousId }, previousId);
+
+    // The race may have been decided while they were away
+    if (room.results) {
+        sendToClient(previousId, { type: 'raceResults', totalLaps: room.totalLaps, results: room.results });
     }
+}
+
+// Rooms shown in the lobby browser; private rooms are left out
+function getPublicRooms() {
+    return Object.values(rooms)
+        .filter(room => !room.isPrivate)
+        .map(room => ({
+            id: room.id,
+            track: room.track,
+            playerCount: Object.keys(room.players).length,
+            maxPlayers: room.settings.maxPlayers,
+            hasPassword: room.settings.password !== '',
+            hostName: room.players[room.hostId]?.name ?? null,
+            gameStarted: room.gameStarted
+        }));
+}
+
+function getPlayersList(room) {
+    return Object.values(room.players).map(p => ({ id: p.id, name: p.name, connected: p.connected }));
+}
+
+function removePlayerFromRoom(clientId) {
+    const client = clients[clientId];
+    const roomId = client?.roomId;
+    const room = rooms[roomId];
+    if (!room) return;
+
+    delete room.players[clientId];
+    client.roomId = null;
+
+    const playersList = getPlayersList(room);
+    if (playersList.length === 0) {
+        clearTimeout(room.lightsOutTimer);
+        clearTimeout(room.finishTimer);
+        delete rooms[roomId];
+        console.log(`Room ${roomId} deleted (no players left)`);
+    } else {
+        if (room.hostId === clientId) { 
+            room.hostId = playersList[0].id; 
+            console.log(`New host for room ${roomId}: ${playersList[0].name}`);
+        }
+        broadcastToRoom(roomId, { type: 'playerLeft', players: playersList, hostId: room.hostId });
+        checkRaceComplete(room);
+    }
+}
+
+function forgetClient(clientId) {
+    const client = clients[clientId];
+    if (!client) return;
+    removePlayerFromRoom(clientId);
+    delete sessions[client.sessionToken];
     delete clients[clientId];
-    if (!isRejoining) console.log(`Client ${clientId.substring(0, 8)} disconnected.`);
+}
+
+// Players in a room keep their car and progress for RECONNECT_GRACE_MS after a drop
+function handleDisconnect(clientId, ws) {
+    const client = clients[clientId];
+    if (!client || client.ws !== ws) return; // Socket was already replaced by a resume
+
+    const player = rooms[client.roomId]?.players[clientId];
+    if (!player) {
+        forgetClient(clientId);
+        console.log(`Client ${clientId.substring(0, 8)} disconnected.`);
+        return;
+    }
+
+    player.connected = false;
+    client.ws = null;
+    client.graceTimer = setTimeout(() => {
+        forgetClient(clientId);
+        console.log(`Client ${clientId.substring(0, 8)} did not reconnect, removed.`);
+    }, CONFIG.RECONNECT_GRACE_MS);
+
+    console.log(`Client ${clientId.substring(0, 8)} dropped, holding seat for ${CONFIG.RECONNECT_GRACE_MS / 1000}s`);
+    broadcastToRoom(client.roomId, { type: 'playerDisconnected', playerId: clientId }, clientId);
+    checkRaceComplete(rooms[client.roomId]);
+}
+
+function sendToClient(clientId, message) {
+    const ws = clients[clientId]?.ws;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
 }
 
 function broadcastToRoom(roomId, message, excludeClientId = null) {
@@ -148,7 +712,7 @@ function broadcastToRoom(roomId, message, excludeClientId = null) {
     for (const clientId in room.players) {
         if (clientId !== excludeClientId) {
             const client = clients[clientId];
-            if (client && client.ws.readyState === WebSocket.OPEN) {
+            if (client?.ws && client.ws.readyState === WebSocket.OPEN) {
                 client.ws.send(messageString);
                 sentCount++;
             }
@@ -157,45 +721,87 @@ function broadcastToRoom(roomId, message, excludeClientId = null) {
     console.log(`Broadcast ${message.type} to ${sentCount} players in room ${roomId}`);
 }
 
-// Proper state collection and broadcasting
+// Authoritative simulation. Each queued input advances its car by exactly one fixed
+// step, so the state sent back always matches the acknowledged sequence number. The
+// budget refills at the simulation rate, which stops clients from running faster.
+const simulationStep = 1000 / CONFIG.SIMULATION_RATE_HZ;
+const simulationDt = 1 / CONFIG.SIMULATION_RATE_HZ; // Seconds per step, for the physics
+let lastSimulationTime = performance.now();
+let accumulatedSimulationTime = 0;
+
+function simulateRoom(room) {
+    // A car whose driver dropped sits still until they resume; it is a ghost until then,
+    // giving no tow and taking no contact
+    const cars = Object.values(room.players).filter(player => player.connected).map(player => player.car);
+    const track = { curve: room.curve, divisions, roadHalfWidth, features: room.features };
+    const collisions = carCollisionsEnabled(room.settings);
+
+    for (const clientId in room.players) {
+        const player = room.players[clientId];
+        if (!player.connected) continue;
+        player.inputBudget = Math.min(player.inputBudget + 1, CONFIG.MAX_INPUT_BURST);
+
+        while (player.inputBudget >= 1 && player.inputQueue.length > 0) {
+            const { seq, controls, receivedAt } = player.inputQueue.shift();
+            // Throttle on a locked car does nothing. Throttle that moves the car but was
+            // sent before the driver could have seen the lights go out is anticipation.
+            if (!player.car.launchLocked && controls.throttle && room.lightsOutAt !== null &&
+                receivedAt < room.lightsOutAt + CONFIG.JUMP_START_REACTION_MS) {
+                flagJumpStart(room, player);
+            }
+            const previousT = player.car.currentT;
+            // Tow comes from the other cars as they are at this step, exactly as the
+            // client predicts it. The automatic gearbox is a driving aid.
+            stepCar(player.car, controls, simulationDt, track, { others: cars, assists: room.settings.assists });
+            if (room.lightsOutAt !== null) player.racingSteps++;
+            // Contact is resolved after every step too, at the same point the client does
+            if (collisions) {
+                cars.forEach(other => {
+                    if (other !== player.car) resolveCarCollision(player.car, other);
+                });
+            }
+            updateRaceProgress(room, player);
+            updateDrsDetection(room, player, previousT);
+            player.lastInputSeq = seq;
+            player.inputBudget--;
+        }
+    }
+}
+
+setInterval(() => {
+    const now = performance.now();
+    accumulatedSimulationTime += now - lastSimulationTime;
+    lastSimulationTime = now;
+
+    while (accumulatedSimulationTime >= simulationStep) {
+        for (const roomId in rooms) {
+            const room = rooms[roomId];
+            if (room.gameStarted && room.curve) simulateRoom(room);
+        }
+        accumulatedSimulationTime -= simulationStep;
+    }
+}, simulationStep);
+
+// Broadcast the simulated states
 setInterval(() => {
     for (const roomId in rooms) {
         const room = rooms[roomId];
-        if (room.gameStarted) {
-            const states = {};
-            let hasValidStates = false;
-            
-            for (const clientId in room.players) {
-                const player = room.players[clientId];
-                // Use the state stored in the room player object
-                if (player.state && player.state.position && player.state.rotationAngle !== undefined) {
-                    states[clientId] = {
-                        x: player.state.position.x,
-                        z: player.state.position.z,
-                        rotY: player.state.rotationAngle
-                    };
-                    hasValidStates = true;
-                } else {
-                    // Use backup state from client or default
-                    const client = clients[clientId];
-                    if (client && client.lastState) {
-                        states[clientId] = {
-                            x: client.lastState.position.x,
-                            z: client.lastState.position.z,
-                            rotY: client.lastState.rotationAngle
-                        };
-                        hasValidStates = true;
-                    } else {
-                        // Default state
-                        states[clientId] = { x: 0, z: 0, rotY: 0 };
-                    }
-                }
-            }
-            
-            if (hasValidStates) {
-                console.log(`Room ${roomId} broadcasting states for players:`, Object.keys(states));
-                broadcastToRoom(roomId, { type: 'serverTick', players: states });
-            }
+        if (!room.gameStarted) continue;
+
+        const states = {};
+        for (const clientId in room.players) {
+            const player = room.players[clientId];
+            states[clientId] = { ...serializeCarState(player.car), ack: player.lastInputSeq };
         }
+        broadcastToRoom(roomId, { type: 'serverTick', serverTime: Date.now(), players: states });
+    }
+}, 1000 / CONFIG.INPUT_SEND_RATE_HZ);
+
+// Standings change slowly, so they go out less often than car states
+setInterval(() => {
+    for (const roomId in rooms) {
+        const room = rooms[roomId];
+        if (!room.gameStarted) continue;
+        broadcastToRoom(roomId, { type: 'standings', standings: getStandings(room) });
     }
-}, 1000 / CONFIG.INPUT_SEND_RATE_HZ);
\ No newline at end of file
+}, CONFIG.STANDINGS_BROADCAST_MS);